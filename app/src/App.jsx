@@ -1,81 +1,129 @@
-import { useEffect, useMemo, useState } from "react";
+import { useEffect, useMemo, useRef, useState } from "react";
 import "./App.css";
-import Papa from "papaparse";
-import { get, set, del } from "idb-keyval";
+import { get, set, del, update } from "idb-keyval";
+import { planMerge, carryOverUserContent } from "./lib/merge";
+import { parseVocabCsv } from "./lib/csv";
+import { decodeFile } from "./lib/importer";
+import { parseAnkiText, parseQuizlet, detectDeckFormat, dedupeById } from "./lib/interop";
+import { BUNDLED_DATASET, fetchBundledCsv } from "./data/dataset";
+import {
+  loadState,
+  createCardWriter,
+  savePrefs,
+  debounced,
+  loadReviewLog,
+  appendReview,
+  deleteReview,
+  replaceReviewLog,
+} from "./lib/storage";
+import { buildBackup, parseBackup, backupFileName } from "./lib/backup";
+import { downloadFile, readFileText } from "./lib/download";
+import { makeLogEntry } from "./lib/reviewStats";
+import { SCHEDULERS, DEFAULT_SCHEDULER, getScheduler, convertCards, resetScheduling } from "./lib/schedulers";
+import { fitFsrsWeights } from "./lib/schedulers/fitFsrs";
+import { DEFAULT_LIMITS, buildStudyQueue, doneToday } from "./lib/queue";
+import { stripSenseSuffix, checkAnswer } from "./lib/hangul";
+import {
+  POS_LABELS,
+  meaningOf,
+  englishOf,
+  examplesOf,
+  fieldOf,
+  applyEdits,
+  hanjaChars,
+  newCustomCard,
+  viewFor,
+  writeBack,
+  restoreScheduling,
+} from "./lib/cards";
+import { buildChoices } from "./lib/distractors";
+import { DEFAULT_LEECH, isLeech, leechPatch, releaseLeech } from "./lib/leeches";
+import { buildHanjaIndex, hanjaKnown } from "./lib/hanja";
+import { buildHomographIndex, sensesOf, senseInfo, promptHint, wrongSenseNumber } from "./lib/homographs";
+import { FORMS, canConjugate, conjugations, exampleSentences } from "./lib/conjugate";
+import { hashString } from "./lib/random";
+import { dueNow } from "./lib/mockTest";
+import {
+  DEFAULT_DECK_ID,
+  DEFAULT_DECKS,
+  STATE_FILTERS,
+  deckOf,
+  intoDeck,
+  splitDeck,
+  deckCounts,
+  allTags,
+  matchesFilter,
+  pickFilter,
+  presetMatching,
+} from "./lib/decks";
+import { parseQuery, matchesQuery, isEmptyQuery, SEARCH_HELP } from "./lib/search";
+import {
+  DEFAULT_AUDIO,
+  watchVoices,
+  canPlay,
+  playCard,
+  saveRecording,
+  deleteRecording,
+  deleteRecordings,
+  withoutMissingRecordings,
+  matchRecordings,
+} from "./lib/audio";
+import {
+  SESSION_SIZES,
+  SESSION_MINUTES,
+  DEFAULT_SESSION,
+  startSession,
+  currentId,
+  recordAnswer,
+  moveTo,
+  timeLeft,
+  sessionOver,
+  summarizeSession,
+} from "./lib/session";
+import { todayKey, dayKey, formatClock } from "./lib/dates";
+import ImportPreview from "./components/ImportPreview";
+import ImportWizard from "./components/ImportWizard";
+import RestoreDialog from "./components/RestoreDialog";
+import StatsPage from "./components/StatsPage";
+import SettingsDialog from "./components/SettingsDialog";
+import AnswerDiff from "./components/AnswerDiff";
+import ChoiceQuiz from "./components/ChoiceQuiz";
+import CardEditor from "./components/CardEditor";
+import PwaPrompt from "./components/PwaPrompt";
+import InstallButton from "./components/InstallButton";
+import InteropDialog from "./components/InteropDialog";
+import LeechPanel from "./components/LeechPanel";
+import ConjugationDrill from "./components/ConjugationDrill";
+import HanjaText from "./components/HanjaText";
+import HanjaFamily from "./components/HanjaFamily";
+import HanjaPage from "./components/HanjaPage";
+import MockTest from "./components/MockTest";
+import SessionSummary from "./components/SessionSummary";
+import CardHistory from "./components/CardHistory";
+import DecksDialog from "./components/DecksDialog";
+import SchedulingDialog from "./components/SchedulingDialog";
+import CardBrowser from "./components/CardBrowser";
 
-const DB_KEY = "topik_flashcards_v1";
 const STATS_KEY = "topik_stats_v1";
-const MIN_EASE = 1.3;
-
-const POS_LABELS = {
-  명: { ko: "명사", en: "Noun" },
-  동: { ko: "동사", en: "Verb" },
-  형: { ko: "형용사", en: "Adjective" },
-  부: { ko: "부사", en: "Adverb" },
-  의: { ko: "의존명사", en: "Dependent noun" },
-  관: { ko: "관형사", en: "Determiner" },
-  대: { ko: "대명사", en: "Pronoun" },
-  감: { ko: "감탄사", en: "Interjection" },
-  수: { ko: "수사", en: "Numeral" },
-  접: { ko: "접속사", en: "Conjunction" },
-  보: { ko: "보조용언", en: "Auxiliary" },
-};
+const SNAPSHOT_KEY = "topik_snapshot_v1";
+const TEST_HISTORY_KEY = "topik_test_history_v1";
 
-const POS_FILTERS = ["all", "명", "동", "형", "부", "보", "의"];
-const LEVEL_FILTERS = ["all", "A", "B", "C"];
-
-function todayKey() {
-  const d = new Date();
-  const y = d.getFullYear();
-  const m = String(d.getMonth() + 1).padStart(2, "0");
-  const day = String(d.getDate()).padStart(2, "0");
-  return `${y}-${m}-${day}`;
-}
-
-function stripSenseSuffix(word) {
-  const s = String(word ?? "").trim();
-  return s.replace(/([가-힣])\d{2}$/, "$1");
-}
-
-function normalizeAnswer(s) {
-  return String(s ?? "").trim().replace(/\s+/g, "").toLowerCase();
-}
+// How many grades can be undone.
+const MAX_UNDO = 50;
 
-function levenshtein(a, b) {
-  const s = normalizeAnswer(a);
-  const t = normalizeAnswer(b);
-  const n = s.length;
-  const m = t.length;
-  if (n === 0) return m;
-  if (m === 0) return n;
-
-  const dp = Array.from({ length: n + 1 }, () => Array(m + 1).fill(0));
-  for (let i = 0; i <= n; i++) dp[i][0] = i;
-  for (let j = 0; j <= m; j++) dp[0][j] = j;
-
-  for (let i = 1; i <= n; i++) {
-    for (let j = 1; j <= m; j++) {
-      const cost = s[i - 1] === t[j - 1] ? 0 : 1;
-      dp[i][j] = Math.min(
-        dp[i - 1][j] + 1,
-        dp[i][j - 1] + 1,
-        dp[i - 1][j - 1] + cost
-      );
-    }
-  }
-  return dp[n][m];
-}
+// Modes that show a page instead of the study card.
+const PAGE_MODES = ["knownPage", "hanjaPage", "testPage", "statsPage"];
 
-function isCloseMatch(typed, answer) {
-  const a = normalizeAnswer(answer);
-  const t = normalizeAnswer(typed);
-  if (!t) return false;
-  if (t === a) return true;
+const POS_FILTERS = ["all", "명", "동", "형", "부", "보", "의"];
+const LEVEL_FILTERS = ["all", "A", "B", "C"];
 
-  const dist = levenshtein(t, a);
-  const tol = a.length >= 6 ? 2 : 1;
-  return dist <= tol;
-}
+const DRILLS = [
+  { id: "flip", label: "Flip cards" },
+  { id: "choice", label: "Multiple choice" },
+  { id: "reverse", label: "Reverse choice" },
+  { id: "conjugate", label: "Conjugation" },
+  { id: "dictation", label: "Dictation" },
+];
 
 function grammarNote(card) {
   if (card.pos === "보") {
@@ -90,100 +138,188 @@ function grammarNote(card) {
   return null;
 }
 
-function autoExamples(card) {
-  const w = stripSenseSuffix(card.rawWord ?? card.word);
-  const meaning = (card.hanja || "").trim();
-
-  if (card.pos === "동") return [`${w}요.`, `저는 ${w}.`, meaning ? `(${meaning})` : null].filter(Boolean);
-  if (card.pos === "형") return [`이거 ${w}.`, `정말 ${w}.`, meaning ? `(${meaning})` : null].filter(Boolean);
-  if (card.pos === "부") return [`${w} 가요.`, `${w} 해요.`, meaning ? `(${meaning})` : null].filter(Boolean);
-  if (card.pos === "보") return [`해 ${w}요.`, `먹어 ${w}요.`, `써 ${w}요.`, meaning ? `(${meaning})` : null].filter(Boolean);
-  return meaning ? [meaning] : [];
-}
-
-function addMinutes(ts, minutes) {
-  return ts + minutes * 60 * 1000;
-}
-function addHours(ts, hours) {
-  return ts + hours * 60 * 60 * 1000;
-}
-function addDays(ts, days) {
-  return ts + days * 24 * 60 * 60 * 1000;
-}
-
-function reviewCard(card, action, now = Date.now()) {
-  let c = { ...card };
-
-  c.ease ??= 2.5;
-  c.intervalDays ??= 0;
-  c.reps ??= 0;
-  c.lapses ??= 0;
-  c.state ??= "new";
-  c.due ??= now;
-
-  if (action === "again") {
-    c.lapses += 1;
-    c.reps = 0;
-    c.intervalDays = 0;
-    c.ease = Math.max(MIN_EASE, c.ease - 0.2);
-    c.state = "learning";
-    c.due = addMinutes(now, 10);
-    return c;
-  }
-
-  if (action === "learning") {
-    c.state = "learning";
-    c.reps = Math.min(c.reps + 1, 2);
-    c.due = addHours(now, 6);
-    return c;
-  }
-
-  c.reps += 1;
-
-  if (c.intervalDays <= 0) c.intervalDays = 1;
-  else if (c.intervalDays === 1) c.intervalDays = 3;
-  else c.intervalDays = Math.round(c.intervalDays * c.ease);
-
-  c.ease += 0.05;
-  c.state = "known";
-  c.due = addDays(now, c.intervalDays);
-  return c;
-}
-
-function isDue(card, now = Date.now()) {
-  return (card.due ?? 0) <= now;
-}
-
 export default function App() {
   const [cards, setCards] = useState([]);
   const [queueIndex, setQueueIndex] = useState(0);
-  const [mode, setMode] = useState("due"); // due | learning | known | all | knownPage
+  const [mode, setMode] = useState("due"); // due | learning | known | all | leeches | hanja | knownPage | hanjaPage | testPage | statsPage
   const [flipped, setFlipped] = useState(false);
   const [activeId, setActiveId] = useState(null);
   const [loaded, setLoaded] = useState(false);
+  const [dataset, setDataset] = useState(null); // { id, version } of the bundled list the deck came from
+  const [notice, setNotice] = useState(null);
+  const [saveBlocked, setSaveBlocked] = useState(false); // the saved deck couldn't be read
 
   const [search, setSearch] = useState("");
   const [levelFilter, setLevelFilter] = useState("all");
   const [posFilter, setPosFilter] = useState("all");
   const [includeAux, setIncludeAux] = useState(true);
+  const [deckFilter, setDeckFilter] = useState("all");
+  const [tagFilter, setTagFilter] = useState("all");
+  const [stateFilter, setStateFilter] = useState("all");
+  const [decks, setDecks] = useState(DEFAULT_DECKS);
+  const [presets, setPresets] = useState([]);
+  const [decksOpen, setDecksOpen] = useState(false);
+  const [schedulingFor, setSchedulingFor] = useState(null); // deck id
 
   const [typingMode, setTypingMode] = useState(false);
+  const [schedulerSettings, setSchedulerSettings] = useState(DEFAULT_SCHEDULER);
+  const [limits, setLimits] = useState(DEFAULT_LIMITS);
+  const [leech, setLeech] = useState(DEFAULT_LEECH);
+  const [settingsOpen, setSettingsOpen] = useState(false);
+  const [audio, setAudio] = useState(DEFAULT_AUDIO);
+  const [voice, setVoice] = useState(null);
+  const [interopOpen, setInteropOpen] = useState(false);
   const [typed, setTyped] = useState("");
   const [typedResult, setTypedResult] = useState(null);
 
-  const [knownSearch, setKnownSearch] = useState("");
+  const [drill, setDrill] = useState("flip"); // flip | choice | reverse | conjugate | dictation
+  const [choiceResult, setChoiceResult] = useState(null);
+  const [conjugationRound, setConjugationRound] = useState(0);
+
+  const [sessionGoal, setSessionGoal] = useState(DEFAULT_SESSION);
+  const [session, setSession] = useState(null); // see lib/session
+  const [sessionSummary, setSessionSummary] = useState(null);
+  const [clock, setClock] = useState(() => Date.now());
+
+  const [browseQuery, setBrowseQuery] = useState("");
+  const [hanjaFocus, setHanjaFocus] = useState(null); // hanja whose family the "hanja" mode drills
+  const [hanjaOpen, setHanjaOpen] = useState(null); // hanja shown in the family dialog
   const [todayStats, setTodayStats] = useState(null);
+  const [reviewLog, setReviewLog] = useState([]);
+  const [testHistory, setTestHistory] = useState([]);
+  const shownAt = useRef(Date.now());
+  const [undoStack, setUndoStack] = useState([]); // { card, entry, session } per grade, newest last
+  const [historyFor, setHistoryFor] = useState(null); // id of the card whose history is open
+
+  const [importFile, setImportFile] = useState(null); // decoded file waiting in the import wizard
+  const [pendingImport, setPendingImport] = useState(null);
+  const [editing, setEditing] = useState(null); // { id } of the card being edited, id null = new card
+  const [pendingRestore, setPendingRestore] = useState(null);
+  const [snapshot, setSnapshot] = useState(null);
+  // Debounced writers for the card store and the prefs, set up once loaded.
+  const cardSaver = useRef(null);
+  const prefsSaver = useRef(null);
+
+  function currentBackup() {
+    return buildBackup({
+      cards,
+      settings: {
+        mode,
+        activeId,
+        search,
+        levelFilter,
+        posFilter,
+        deckFilter,
+        tagFilter,
+        stateFilter,
+        includeAux,
+        typingMode,
+        drill,
+        scheduler: schedulerSettings,
+        limits,
+        leech,
+        hanjaFocus,
+        sessionGoal,
+        audio,
+        decks,
+        presets,
+        dataset,
+      },
+      stats: todayStats,
+      reviewLog,
+    });
+  }
+
+  async function takeSnapshot(reason) {
+    const snap = { takenAt: Date.now(), reason, backup: currentBackup() };
+    await set(SNAPSHOT_KEY, snap);
+    setSnapshot(snap);
+  }
 
   async function resetAll() {
-    await del(DB_KEY);
+    if (cards.length) await takeSnapshot("reset");
+    removeRecordings(cards.filter((c) => c.audio).map((c) => c.id));
     await del(STATS_KEY);
+    await replaceReviewLog([]);
     setCards([]);
+    setDataset(null);
+    setReviewLog([]);
     setMode("due");
     setActiveId(null);
     setFlipped(false);
     setTyped("");
     setTypedResult(null);
     setTodayStats(null);
+    setSession(null);
+    setSessionSummary(null);
+    setUndoStack([]);
+  }
+
+  async function applyBackup(backup) {
+    const s = backup.settings ?? {};
+    setCards(await withoutMissingRecordings(backup.cards));
+    setMode(s.mode ?? "due");
+    setActiveId(s.activeId ?? backup.cards[0]?.id ?? null);
+    setSearch(s.search ?? "");
+    setLevelFilter(s.levelFilter ?? "all");
+    setPosFilter(s.posFilter ?? "all");
+    setDeckFilter(s.deckFilter ?? "all");
+    setTagFilter(s.tagFilter ?? "all");
+    setStateFilter(s.stateFilter ?? "all");
+    setDecks(s.decks ?? DEFAULT_DECKS);
+    setPresets(s.presets ?? []);
+    setIncludeAux(s.includeAux ?? true);
+    setTypingMode(s.typingMode ?? false);
+    setDrill(s.drill ?? "flip");
+    setSchedulerSettings({ ...DEFAULT_SCHEDULER, ...s.scheduler });
+    setLimits({ ...DEFAULT_LIMITS, ...s.limits });
+    setLeech({ ...DEFAULT_LEECH, ...s.leech });
+    setHanjaFocus(s.hanjaFocus ?? null);
+    setSessionGoal({ ...DEFAULT_SESSION, ...s.sessionGoal });
+    setAudio({ ...DEFAULT_AUDIO, ...s.audio });
+    setDataset(s.dataset ?? null);
+    setSession(null);
+    setSessionSummary(null);
+    setUndoStack([]);
+    setFlipped(false);
+    setTyped("");
+    setTypedResult(null);
+
+    if (backup.stats) await set(STATS_KEY, backup.stats);
+    else await del(STATS_KEY);
+    await loadStats();
+    await replaceReviewLog(backup.reviewLog);
+    setReviewLog(backup.reviewLog);
+  }
+
+  function exportBackup() {
+    downloadFile(backupFileName(), JSON.stringify(currentBackup(), null, 2), "application/json");
+  }
+
+  async function openBackupFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+
+    try {
+      const backup = parseBackup(await readFileText(file));
+      setPendingRestore({ fileName: file.name, backup });
+    } catch (err) {
+      setPendingRestore({ fileName: file.name, error: err.message });
+    }
+  }
+
+  async function restorePending({ snapshotFirst }) {
+    if (snapshotFirst) await takeSnapshot("restore");
+    await applyBackup(pendingRestore.backup);
+    setPendingRestore(null);
+  }
+
+  async function restoreSnapshot() {
+    if (!snapshot) return;
+    await applyBackup(snapshot.backup);
+    await del(SNAPSHOT_KEY);
+    setSnapshot(null);
   }
 
   async function loadStats() {
@@ -198,7 +334,8 @@ export default function App() {
     setTodayStats(saved ?? { date: key, reviewed: 0, correct: 0, byPos: {} });
   }
 
-  async function bumpStats({ pos, correct }) {
+  // `step` is -1 when a grade is undone.
+  async function bumpStats({ pos, correct }, step = 1) {
     const key = todayKey();
     const saved = (await get(STATS_KEY)) ?? { date: key, reviewed: 0, correct: 0, byPos: {} };
     const base = saved?.date === key ? saved : { date: key, reviewed: 0, correct: 0, byPos: {} };
@@ -206,14 +343,14 @@ export default function App() {
     const p = pos || "?";
     const byPos = { ...(base.byPos ?? {}) };
     const cur = byPos[p] ?? { reviewed: 0, correct: 0 };
-    cur.reviewed += 1;
-    if (correct) cur.correct += 1;
+    cur.reviewed = Math.max(0, cur.reviewed + step);
+    if (correct) cur.correct = Math.max(0, cur.correct + step);
     byPos[p] = cur;
 
     const next = {
       date: key,
-      reviewed: (base.reviewed ?? 0) + 1,
-      correct: (base.correct ?? 0) + (correct ? 1 : 0),
+      reviewed: Math.max(0, (base.reviewed ?? 0) + step),
+      correct: Math.max(0, (base.correct ?? 0) + (correct ? step : 0)),
       byPos,
     };
 
@@ -221,93 +358,379 @@ export default function App() {
     setTodayStats(next);
   }
 
-  useEffect(() => {
-    (async () => {
-      const saved = await get(DB_KEY);
-      if (saved?.cards?.length) {
-        setCards(saved.cards);
-        setMode(saved.mode ?? "due");
-        setActiveId(saved.activeId ?? saved.cards[0]?.id ?? null);
-
-        setSearch(saved.search ?? "");
-        setLevelFilter(saved.levelFilter ?? "all");
-        setPosFilter(saved.posFilter ?? "all");
-        setIncludeAux(saved.includeAux ?? true);
-        setTypingMode(saved.typingMode ?? false);
-      }
-      await loadStats();
+  async function loadBundledDataset(existing = []) {
+    const parsed = await parseVocabCsv(await fetchBundledCsv());
+    const next = { id: BUNDLED_DATASET.id, version: BUNDLED_DATASET.version };
+    if (!existing.length) {
+      setDataset(next);
+      return { cards: parsed };
+    }
+    // Bundled updates only concern the TOPIK deck; the user's own decks are left alone.
+    const { inDeck, others } = splitDeck(existing, DEFAULT_DECK_ID);
+    const plan = planMerge(inDeck, parsed);
+    setDataset(next);
+    return { cards: [...plan.cards, ...others], plan };
+  }
+
+  async function loadDefaultWords() {
+    try {
+      const { cards: bundled } = await loadBundledDataset();
+      applyImportedCards(bundled);
+    } catch (err) {
+      setNotice(err.message);
+    }
+  }
+
+  function saveFailed(err) {
+    setNotice(`Could not save your changes: ${err.message}. They'll be saved with the next change if storage recovers.`);
+  }
+
+  // Reads the saved deck. If it can't be read, or a newer version wrote it,
+  // nothing is loaded in its place and saving stays off, so stored progress
+  // is never overwritten; "Try again" reads it again.
+  async function loadSaved() {
+    let stored;
+    try {
+      stored = await loadState();
+    } catch (err) {
+      stored = { error: `Could not read your saved deck: ${err.message}.` };
+    }
+    if (stored.error || stored.newer) {
+      setSaveBlocked(true);
+      setNotice(
+        `${stored.error ?? "Your saved deck was written by a newer version of the app; reload to update it."} ` +
+          "Nothing is saved until your deck can be read, so your progress stays as it was."
+      );
       setLoaded(true);
-    })();
+      return;
+    }
+    setSaveBlocked(false);
+    const notices = [];
+    if (stored.corrupt) notices.push(`Damaged cards that could not be loaded and were set aside: ${stored.corrupt}.`);
+    cardSaver.current = debounced(createCardWriter(stored.cards, { onError: saveFailed }));
+    prefsSaver.current = debounced((prefs) => savePrefs(prefs).catch(saveFailed));
+
+    const saved = stored.prefs;
+    let savedCards = stored.cards;
+    const savedDataset = saved?.dataset ?? null;
+
+    // First run gets the bundled word list; a deck built from an older
+    // bundled version gets the new rows merged in, keeping progress.
+    try {
+      if (!savedCards.length) {
+        savedCards = (await loadBundledDataset()).cards;
+      } else if (savedDataset?.id === BUNDLED_DATASET.id && savedDataset.version < BUNDLED_DATASET.version) {
+        const { cards: merged, plan } = await loadBundledDataset(savedCards);
+        savedCards = merged;
+        notices.push(
+          `Word list updated to v${BUNDLED_DATASET.version}: ${plan.added.length} added, ` +
+            `${plan.updated.length} updated, ${plan.removed.length} removed. Your progress was kept.`
+        );
+      } else {
+        setDataset(savedDataset);
+      }
+    } catch (err) {
+      setDataset(savedDataset);
+      notices.push(err.message);
+    }
+    setNotice(notices.length ? notices.join(" ") : null);
+
+    if (savedCards.length) {
+      setCards(savedCards);
+      setMode(saved?.mode ?? "due");
+      setActiveId(saved?.activeId ?? savedCards[0]?.id ?? null);
+    }
+    if (saved) {
+      setSearch(saved.search ?? "");
+      setLevelFilter(saved.levelFilter ?? "all");
+      setPosFilter(saved.posFilter ?? "all");
+      setDeckFilter(saved.deckFilter ?? "all");
+      setTagFilter(saved.tagFilter ?? "all");
+      setStateFilter(saved.stateFilter ?? "all");
+      setDecks(saved.decks ?? DEFAULT_DECKS);
+      setPresets(saved.presets ?? []);
+      setIncludeAux(saved.includeAux ?? true);
+      setTypingMode(saved.typingMode ?? false);
+      setDrill(saved.drill ?? "flip");
+      setSchedulerSettings({ ...DEFAULT_SCHEDULER, ...saved.scheduler });
+      setLimits({ ...DEFAULT_LIMITS, ...saved.limits });
+      setLeech({ ...DEFAULT_LEECH, ...saved.leech });
+      setHanjaFocus(saved.hanjaFocus ?? null);
+      setSessionGoal({ ...DEFAULT_SESSION, ...saved.sessionGoal });
+      setAudio({ ...DEFAULT_AUDIO, ...saved.audio });
+    }
+    await loadStats();
+    setReviewLog(await loadReviewLog());
+    setTestHistory((await get(TEST_HISTORY_KEY)) ?? []);
+    setSnapshot((await get(SNAPSHOT_KEY)) ?? null);
+    setLoaded(true);
+  }
+
+  useEffect(() => {
+    loadSaved();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
+  // Cards and prefs are saved separately, a moment after changes settle; only
+  // the cards that changed are written.
+  useEffect(() => {
+    if (loaded) cardSaver.current?.schedule(cards);
+  }, [cards, loaded]);
+
   useEffect(() => {
     if (!loaded) return;
-    (async () => {
-      await set(DB_KEY, {
-        cards,
-        mode,
-        activeId,
-        search,
-        levelFilter,
-        posFilter,
-        includeAux,
-        typingMode,
-      });
-    })();
-  }, [cards, mode, activeId, search, levelFilter, posFilter, includeAux, typingMode, loaded]);
+    prefsSaver.current?.schedule({
+      mode,
+      activeId,
+      search,
+      levelFilter,
+      posFilter,
+      deckFilter,
+      tagFilter,
+      stateFilter,
+      includeAux,
+      typingMode,
+      drill,
+      scheduler: schedulerSettings,
+      limits,
+      leech,
+      hanjaFocus,
+      sessionGoal,
+      audio,
+      decks,
+      presets,
+      dataset,
+    });
+  }, [
+    mode,
+    activeId,
+    search,
+    levelFilter,
+    posFilter,
+    deckFilter,
+    tagFilter,
+    stateFilter,
+    includeAux,
+    typingMode,
+    drill,
+    schedulerSettings,
+    limits,
+    leech,
+    hanjaFocus,
+    sessionGoal,
+    audio,
+    decks,
+    presets,
+    dataset,
+    loaded,
+  ]);
+
+  // A pending save must not be lost when the tab is closed or backgrounded.
+  useEffect(() => {
+    function flush() {
+      cardSaver.current?.flush();
+      prefsSaver.current?.flush();
+    }
+    function onVisibility() {
+      if (document.visibilityState === "hidden") flush();
+    }
+    window.addEventListener("pagehide", flush);
+    document.addEventListener("visibilitychange", onVisibility);
+    return () => {
+      window.removeEventListener("pagehide", flush);
+      document.removeEventListener("visibilitychange", onVisibility);
+    };
+  }, []);
+
+  // Leeches are always drilled by typing the Korean word.
+  const leechMode = mode === "leeches";
+  const studyDrill = leechMode ? "flip" : drill;
+  const typing = leechMode || typingMode || studyDrill === "dictation";
+  // Drills graded with the Again / Learning / Known buttons.
+  const flipDrill = studyDrill === "flip" || studyDrill === "dictation";
+
+  const direction = studyDrill === "reverse" ? "reverse" : "forward";
+
+  // Each deck schedules with its own options.
+  const schedulerFor = useMemo(() => {
+    const byDeck = new Map(decks.map((d) => [d.id, getScheduler(schedulerSettings, d.scheduling)]));
+    const fallback = getScheduler(schedulerSettings);
+    return (card) => byDeck.get(deckOf(card)) ?? fallback;
+  }, [decks, schedulerSettings]);
+
+  function changeScheduler(next) {
+    setSchedulerSettings(next);
+    if (next.id !== schedulerSettings.id) {
+      const target = getScheduler(next);
+      setCards((prev) => convertCards(prev, target));
+    }
+  }
+
+  function fitFsrs() {
+    const result = fitFsrsWeights(reviewLog, schedulerSettings.fsrsWeights ?? undefined);
+    changeScheduler({ ...schedulerSettings, fsrsWeights: result.weights });
+    return result;
+  }
+
+  const done = useMemo(() => doneToday(reviewLog), [reviewLog]);
+
+  const filter = { deck: deckFilter, tag: tagFilter, level: levelFilter, pos: posFilter, state: stateFilter };
+  const activePreset = presetMatching(presets, filter);
+
+  // The deck/preset slice everything else (queue, header stats) works within.
+  // Cards dropped from their word list only show up in the browser.
+  const scopedWithRemoved = useMemo(() => {
+    const f = { deck: deckFilter, tag: tagFilter, level: levelFilter, pos: posFilter, state: stateFilter };
+    return cards.filter((c) => {
+      if (!includeAux && c.pos === "보") return false;
+      return matchesFilter(viewFor(c, direction), f);
+    });
+  }, [cards, deckFilter, tagFilter, levelFilter, posFilter, stateFilter, includeAux, direction]);
+
+  const scopedCards = useMemo(() => scopedWithRemoved.filter((c) => !c.removed), [scopedWithRemoved]);
+
+  // What gets reviewed: the scope minus suspended cards.
+  const activeCards = useMemo(() => scopedCards.filter((c) => !c.suspended), [scopedCards]);
 
   const stats = useMemo(() => {
-    const now = Date.now();
+    const live = activeCards.map((c) => viewFor(c, direction));
+    const today = buildStudyQueue(live, { limits, done });
     return {
-      due: cards.filter((c) => isDue(c, now)).length,
-      learning: cards.filter((c) => c.state === "learning").length,
-      known: cards.filter((c) => c.state === "known").length,
-      total: cards.length,
+      fresh: today.fresh.length,
+      learning: today.learning.length,
+      review: today.review.length,
+      known: live.filter((c) => c.state === "known").length,
+      total: live.length,
     };
-  }, [cards]);
+  }, [activeCards, limits, done, direction]);
 
-  const filteredCards = useMemo(() => {
-    const q = search.trim().toLowerCase();
-    return cards.filter((c) => {
-      if (!includeAux && c.pos === "보") return false;
-      if (levelFilter !== "all" && String(c.level || "").trim() !== levelFilter) return false;
-      if (posFilter !== "all" && String(c.pos || "").trim() !== posFilter) return false;
+  const searchQuery = useMemo(() => parseQuery(search), [search]);
 
-      if (!q) return true;
-      const hay = `${c.word ?? ""} ${c.rawWord ?? ""} ${c.hanja ?? ""}`.toLowerCase();
-      return hay.includes(q);
+  const filteredCards = useMemo(() => {
+    const now = Date.now();
+    const all = isEmptyQuery(searchQuery);
+    const showSuspended =
+      leechMode || stateFilter === "suspended" || searchQuery.filters.some((f) => f.value === "suspended");
+    return scopedCards.filter((c) => {
+      if (c.suspended && !showSuspended) return false;
+      return all || matchesQuery(viewFor(c, direction), searchQuery, now);
     });
-  }, [cards, search, includeAux, levelFilter, posFilter]);
+  }, [scopedCards, searchQuery, leechMode, stateFilter, direction]);
+
+  // Cards as seen from the current direction; choice drills need a meaning.
+  const studyCards = useMemo(() => {
+    const views = filteredCards.map((c) => viewFor(c, direction));
+    if (studyDrill === "conjugate") return views.filter(canConjugate);
+    if (studyDrill === "dictation") return views.filter((c) => canPlay(c, voice));
+    return studyDrill === "flip" ? views : views.filter((c) => meaningOf(c));
+  }, [filteredCards, direction, studyDrill, voice]);
 
   const queue = useMemo(() => {
     const now = Date.now();
-    if (mode === "due") return filteredCards.filter((c) => isDue(c, now));
-    if (mode === "learning") return filteredCards.filter((c) => c.state === "learning");
-    if (mode === "known") return filteredCards.filter((c) => c.state === "known");
-    if (mode === "all") return filteredCards;
+    if (mode === "due") return buildStudyQueue(studyCards, { limits, done, now }).queue;
+    if (mode === "learning") return studyCards.filter((c) => c.state === "learning");
+    if (mode === "known") return studyCards.filter((c) => c.state === "known");
+    if (mode === "all") return studyCards;
+    if (mode === "leeches") return studyCards.filter(isLeech);
+    if (mode === "hanja") return studyCards.filter((c) => hanjaChars(c).includes(hanjaFocus));
     return [];
-  }, [filteredCards, mode]);
+  }, [studyCards, mode, limits, done, hanjaFocus]);
+
+  const hanjaIndex = useMemo(() => buildHanjaIndex(cards), [cards]);
+  const homographs = useMemo(() => buildHomographIndex(cards), [cards]);
+
+  // A running session pins its own cards, whatever the mode's queue says now.
+  const sessionCards = useMemo(() => new Map(cards.map((c) => [c.id, viewFor(c, direction)])), [cards, direction]);
 
   const activeCard = useMemo(() => {
+    if (session) return sessionCards.get(currentId(session)) ?? null;
     if (!queue.length) return null;
     return queue.find((c) => c.id === activeId) ?? queue[0];
-  }, [queue, activeId]);
-
-  const knownCount = useMemo(() => cards.filter((c) => c.state === "known").length, [cards]);
-  const learnedPct = cards.length ? Math.round((knownCount / cards.length) * 100) : 0;
-  const queuePct = queue.length ? Math.round(((queueIndex + 1) / queue.length) * 100) : 0;
+  }, [session, sessionCards, queue, activeId]);
+
+  const senses = activeCard ? sensesOf(homographs, activeCard) : null;
+  const sense = activeCard ? senseInfo(activeCard, senses) : null;
+
+  const choices = useMemo(() => {
+    if (!activeCard || flipDrill || studyDrill === "conjugate") return null;
+    const optionText = studyDrill === "reverse" ? (c) => stripSenseSuffix(c.word) : meaningOf;
+    return buildChoices(activeCard, cards, { optionText, seed: activeCard.reps ?? 0 });
+  }, [activeCard, flipDrill, studyDrill, cards]);
+
+  // Cycle through the forms so a card seen again asks for a different one.
+  const conjugationForm =
+    activeCard && studyDrill === "conjugate"
+      ? FORMS[(hashString(activeCard.id) + conjugationRound) % FORMS.length]
+      : null;
+
+  const knownCount = useMemo(() => scopedCards.filter((c) => c.state === "known").length, [scopedCards]);
+  const learnedPct = scopedCards.length ? Math.round((knownCount / scopedCards.length) * 100) : 0;
+  const queuePct = session
+    ? Math.round((session.pos / session.order.length) * 100)
+    : queue.length
+      ? Math.round(((queueIndex + 1) / queue.length) * 100)
+      : 0;
+  const sessionLeft = session ? timeLeft(session, clock) : Infinity;
 
   function goToIndex(nextIdx) {
     if (!queue.length) return;
-    const clamped = (nextIdx + queue.length) % queue.length;
+    const clamped = Math.max(0, Math.min(nextIdx, queue.length - 1));
     setQueueIndex(clamped);
     setActiveId(queue[clamped].id);
     setFlipped(false);
     setTyped("");
     setTypedResult(null);
+    setChoiceResult(null);
+  }
+  function nextCard() {
+    if (session) return advanceSession(session);
+    goToIndex(queueIndex + 1);
+  }
+  function prevCard() {
+    if (session) return showSession(moveTo(session, session.pos - 1));
+    goToIndex(queueIndex - 1);
+  }
+
+  function showSession(next) {
+    setSession(next);
+    setFlipped(false);
+    setTyped("");
+    setTypedResult(null);
+    setChoiceResult(null);
+  }
+
+  function beginSession() {
+    if (!queue.length) return;
+    const now = Date.now();
+    setClock(now);
+    setSessionSummary(null);
+    showSession(startSession(queue, sessionGoal, now));
+  }
+
+  // Ending before any answer just drops the session; there's nothing to sum up.
+  function endSession(s = session) {
+    if (s.log.length) setSessionSummary(summarizeSession(s, Date.now()));
+    showSession(null);
+  }
+
+  function advanceSession(s) {
+    const next = moveTo(s, s.pos + 1);
+    if (sessionOver(next, Date.now())) return endSession(next);
+    showSession(next);
+  }
+
+  function recordInSession(card, correct, now = Date.now()) {
+    if (!session) return session;
+    const next = recordAnswer(session, { id: card.id, correct, wasNew: (card.state ?? "new") === "new", now });
+    setSession(next);
+    return next;
   }
-  function nextCard() { goToIndex(queueIndex + 1); }
-  function prevCard() { goToIndex(queueIndex - 1); }
+
+  useEffect(() => {
+    if (!session?.limitMs) return;
+    const timer = setInterval(() => setClock(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [session]);
 
   useEffect(() => {
     if (!queue.length) {
@@ -316,6 +739,7 @@ export default function App() {
       setFlipped(false);
       setTyped("");
       setTypedResult(null);
+      setChoiceResult(null);
       return;
     }
     const idx = activeId ? queue.findIndex((c) => c.id === activeId) : -1;
@@ -326,9 +750,14 @@ export default function App() {
     setFlipped(false);
     setTyped("");
     setTypedResult(null);
+    setChoiceResult(null);
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [queue]);
 
+  useEffect(() => {
+    shownAt.current = Date.now();
+  }, [activeCard?.id]);
+
   // keyboard shortcuts (don’t steal typing)
   useEffect(() => {
     function onKeyDown(e) {
@@ -336,8 +765,27 @@ export default function App() {
       const typingInInput = tag === "input" || tag === "textarea";
       if (typingInInput) return;
 
-      if (mode === "knownPage") return;
-      if (!activeCard) return;
+      if (PAGE_MODES.includes(mode)) return;
+      if (editing || hanjaOpen || historyFor) return;
+      if (e.key === "u" || (e.key === "z" && (e.ctrlKey || e.metaKey))) {
+        e.preventDefault();
+        return undoLast();
+      }
+      if (sessionSummary || !activeCard) return;
+      if (e.key === "e") return setEditing({ id: activeCard.id });
+      if (e.key === "h") return setHistoryFor(activeCard.id);
+      if (e.key === "r") return playWord(activeCard, true);
+
+      if (!flipDrill) {
+        if (!choiceResult && /^[1-4]$/.test(e.key)) return pickChoice(choices?.[Number(e.key) - 1]);
+        if (choiceResult && (e.code === "Space" || e.key === "Enter")) {
+          e.preventDefault();
+          return continueChoice();
+        }
+        if (e.key === "ArrowRight") return nextCard();
+        if (e.key === "ArrowLeft") return prevCard();
+        return;
+      }
 
       if (e.code === "Space") {
         e.preventDefault();
@@ -353,86 +801,355 @@ export default function App() {
     window.addEventListener("keydown", onKeyDown);
     return () => window.removeEventListener("keydown", onKeyDown);
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [activeCard, queueIndex, queue.length, mode]);
+  }, [activeCard, queueIndex, queue.length, mode, studyDrill, choices, choiceResult, editing, hanjaOpen, historyFor, session, sessionSummary, undoStack, voice, audio, schedulerFor]);
+
+  useEffect(() => watchVoices(setVoice), []);
+
+  // Say the word when the answer is shown, or straight away in dictation.
+  useEffect(() => {
+    if (!activeCard || !flipDrill || PAGE_MODES.includes(mode) || sessionSummary) return;
+    if (studyDrill === "dictation" ? !flipped : flipped && audio.autoPlay) playWord(activeCard);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [activeCard?.id, flipped, studyDrill, mode, sessionSummary, voice]);
 
-  function importCsv(e) {
+  function applyImportedCards(nextCards) {
+    setCards(nextCards);
+    setMode("due");
+    setActiveId(nextCards.find((c) => !c.removed)?.id ?? null);
+    setQueueIndex(0);
+    setFlipped(false);
+    setTyped("");
+    setTypedResult(null);
+    setPendingImport(null);
+  }
+
+  // Imports go into the deck being studied, or the TOPIK deck when all are shown.
+  const importTarget = deckFilter !== "all" && decks.some((d) => d.id === deckFilter) ? deckFilter : DEFAULT_DECK_ID;
+
+  async function importCsv(e, deck = importTarget) {
     const file = e.target.files?.[0];
+    e.target.value = "";
     if (!file) return;
 
-    Papa.parse(file, {
-      header: true,
-      skipEmptyLines: true,
-      complete: (res) => {
-        const now = Date.now();
-        const parsed = (res.data ?? [])
-          .filter((r) => r["단어"])
-          .map((r) => {
-            const rawWord = String(r["단어"] ?? "").trim();
-            const displayWord = stripSenseSuffix(rawWord);
-
-            return {
-              id: `${r["순위"]}-${rawWord}`,
-              word: displayWord,
-              rawWord,
-              pos: String(r["품사"] ?? "").trim(),
-              hanja: String(r["풀이"] ?? "").trim(),
-              level: String(r["등급"] ?? "").trim(),
-              rank: Number(r["순위"]),
-              state: "new",
-              due: now,
-              intervalDays: 0,
-              ease: 2.5,
-              reps: 0,
-              lapses: 0,
-            };
-          });
-
-        setCards(parsed);
-        setMode("due");
-        setActiveId(parsed[0]?.id ?? null);
-        setQueueIndex(0);
-        setFlipped(false);
-        setTyped("");
-        setTypedResult(null);
-      },
+    const { text, encoding } = await decodeFile(file);
+    setDecksOpen(false);
+    setImportFile({ fileName: file.name, text, encoding, deck });
+  }
+
+  // Each deck merges on its own: other decks are neither matched nor flagged.
+  function previewImport({ fileName, deck, rows, partial = false }) {
+    const parsed = intoDeck(rows, deck);
+    const { inDeck, others } = splitDeck(cards, deck);
+    const label = deck === DEFAULT_DECK_ID ? fileName : `${fileName} → ${decks.find((d) => d.id === deck)?.name}`;
+    const kept = new Set(parsed.map((c) => c.id));
+    setPendingImport({
+      fileName: label,
+      deck,
+      parsed,
+      inDeck,
+      others,
+      partial,
+      replaceDeletes: inDeck.filter((c) => !kept.has(c.id)).length,
+      plan: planMerge(inDeck, parsed, { partial }),
     });
+  }
 
-    e.target.value = "";
+  function confirmImport(parsed) {
+    const { fileName, deck } = importFile;
+    setImportFile(null);
+    if (!cards.length) {
+      setDataset(null);
+      applyImportedCards(intoDeck(parsed, deck));
+      return;
+    }
+    previewImport({ fileName, deck, rows: parsed });
+  }
+
+  // Anki/Quizlet decks only cover some words, so they merge without flagging
+  // the rest of the deck as removed.
+  function importDeck({ fileName, text, format }) {
+    const kind = format || detectDeckFormat(fileName, text);
+    const { cards: rows, skipped } = kind === "anki" ? parseAnkiText(text) : parseQuizlet(text);
+    const parsed = dedupeById(rows);
+    setInteropOpen(false);
+    if (!parsed.length) {
+      setNotice(`No words found in ${fileName}.`);
+      return;
+    }
+    if (skipped.length) setNotice(`${skipped.length} lines in ${fileName} had no word and were skipped.`);
+    if (!cards.length) {
+      setDataset(null);
+      applyImportedCards(intoDeck(parsed, importTarget));
+      return;
+    }
+    previewImport({ fileName, deck: importTarget, rows: parsed, partial: true });
   }
 
   async function act(action) {
     if (!activeCard) return;
-    const updated = reviewCard(activeCard, action);
-    setCards((prev) => prev.map((c) => (c.id === updated.id ? updated : c)));
+    const now = Date.now();
+    const updated = schedulerFor(activeCard).review(activeCard, action, now);
+    const entry = makeLogEntry({
+      card: activeCard,
+      before: activeCard,
+      after: updated,
+      grade: action,
+      typing: flipDrill && typing,
+      direction,
+      durationMs: now - shownAt.current,
+      now,
+    });
+    const leeched = leechPatch(activeCard, updated, leech);
+    const before = cards.find((c) => c.id === activeCard.id);
+    setUndoStack((prev) => [...prev.slice(1 - MAX_UNDO), { card: before, entry, session }]);
+    // Card and log change in the same render so the daily limits stay in step.
+    setCards((prev) =>
+      prev.map((c) => (c.id === updated.id ? { ...writeBack(c, direction, updated), ...leeched } : c))
+    );
+    setReviewLog((prev) => [...prev, entry]);
     setFlipped(false);
     setTyped("");
     setTypedResult(null);
+    setChoiceResult(null);
+    if (session) advanceSession(recordInSession(activeCard, action !== "again", now));
+    if (leeched) {
+      setNotice(
+        `${activeCard.word} has lapsed ${updated.lapses} times and is now a leech` +
+          (leeched.suspended ? " — suspended from reviews, study it in Leeches." : ".")
+      );
+    }
     await bumpStats({ pos: activeCard.pos, correct: action !== "again" });
+    await appendReview(entry);
+  }
+
+  // Takes back the last grade: the card's schedule, its log entry and today's
+  // stats, and steps the session back to it.
+  async function undoLast() {
+    const last = undoStack.at(-1);
+    if (!last) return;
+    const { card, entry } = last;
+    setUndoStack((prev) => prev.slice(0, -1));
+    setCards((prev) => prev.map((c) => (c.id === card.id ? restoreScheduling(c, card) : c)));
+    setReviewLog((prev) => prev.filter((e) => e.id !== entry.id));
+    if (last.session) {
+      setSessionSummary(null);
+      showSession(last.session);
+    } else {
+      setActiveId(card.id);
+      setFlipped(false);
+      setTyped("");
+      setTypedResult(null);
+      setChoiceResult(null);
+    }
+    if (dayKey(entry.ts) === todayKey()) await bumpStats({ pos: card.pos, correct: entry.grade !== "again" }, -1);
+    await deleteReview(entry.id);
+  }
+
+  function pickChoice(option) {
+    if (!option || choiceResult) return;
+    setChoiceResult({ pickedId: option.id, correct: option.correct });
+  }
+
+  function continueChoice() {
+    if (!choiceResult) return;
+    act(choiceResult.correct ? "known" : "again");
   }
 
   function submitTyping(e) {
     e.preventDefault();
     if (!activeCard) return;
 
-    const ok = normalizeAnswer(typed) === normalizeAnswer(activeCard.word);
-    const close = !ok && isCloseMatch(typed, activeCard.word);
-
-    setTypedResult({ ok, close });
+    const checked = checkAnswer(typed, activeCard.word, { forms: conjugations(activeCard.word).map((f) => f.text) });
+    // 가구04 typed for 가구03 is the right spelling but the wrong word.
+    const result = wrongSenseNumber(typed, activeCard) ? { ...checked, ok: false, close: false, wrongSense: true } : checked;
+    setTypedResult(result);
     setFlipped(true);
-    bumpStats({ pos: activeCard.pos, correct: ok || close });
   }
 
-  function resetOneCard(id) {
-    const now = Date.now();
-    setCards((prev) =>
-      prev.map((c) =>
-        c.id === id
-          ? { ...c, state: "new", due: now, intervalDays: 0, reps: 0, lapses: 0, ease: 2.5 }
-          : c
-      )
+  async function playWord(card, asked = false) {
+    const how = await playCard(card, { voice, rate: audio.rate });
+    if (!how && asked) {
+      setNotice(`No offline Korean voice is installed and ${card.word} has no recording. Attach one with Edit (E).`);
+    }
+  }
+
+  async function attachRecordings(files) {
+    const { matched, unmatched } = matchRecordings(files, cards.filter((c) => !c.removed));
+    const results = await Promise.allSettled(matched.map(({ file, card }) => saveRecording(card.id, file)));
+    const stored = matched.filter((_, i) => results[i].status === "fulfilled");
+    const failed = results.filter((r) => r.status === "rejected");
+    const names = new Map(stored.map(({ file, card }) => [card.id, file.name]));
+    setCards((prev) => prev.map((c) => (names.has(c.id) ? { ...c, audio: names.get(c.id) } : c)));
+    setNotice(
+      `Attached ${stored.length} recordings.` +
+        (failed.length ? ` ${failed.length} could not be stored: ${failed[0].reason?.message}.` : "") +
+        (unmatched.length ? ` No card matched ${unmatched.map((f) => f.name).slice(0, 5).join(", ")}${unmatched.length > 5 ? "…" : ""}.` : "")
     );
   }
 
+  function releaseOneCard(id) {
+    setCards((prev) => prev.map((c) => (c.id === id ? releaseLeech(c) : c)));
+  }
+
+  function nextConjugation() {
+    setConjugationRound((r) => r + 1);
+    nextCard();
+  }
+
+  function studyFamily(ch) {
+    setHanjaFocus(ch);
+    setMode("hanja");
+    setHanjaOpen(null);
+  }
+
+  async function saveTestResult(entry) {
+    setTestHistory((prev) => [...prev, entry]);
+    await update(TEST_HISTORY_KEY, (h) => [...(h ?? []), entry]);
+  }
+
+  function addToDue(ids) {
+    const now = Date.now();
+    const wanted = new Set(ids);
+    setCards((prev) => prev.map((c) => (wanted.has(c.id) ? dueNow(c, now) : c)));
+    setNotice(`${wanted.size} words added to Due.`);
+  }
+
+  // Bulk actions from the card browser.
+  function updateCards(ids, fn) {
+    const wanted = new Set(ids);
+    setCards((prev) => prev.map((c) => (wanted.has(c.id) ? fn(c) : c)));
+  }
+
+  function resetCards(ids) {
+    const now = Date.now();
+    updateCards(ids, (c) => resetScheduling(c, now));
+  }
+
+  function suspendCards(ids, suspended) {
+    updateCards(ids, (c) => {
+      const next = { ...c, suspended };
+      if (!suspended) delete next.suspended;
+      return next;
+    });
+  }
+
+  function tagCards(ids, tag, add) {
+    updateCards(ids, (c) => {
+      const tags = (c.tags ?? []).filter((t) => t !== tag);
+      if (add) tags.push(tag);
+      const next = { ...c, tags };
+      if (!tags.length) delete next.tags;
+      return next;
+    });
+  }
+
+  // Back into the study queue, for cards a re-import dropped from the word list.
+  function restoreCards(ids) {
+    updateCards(ids, (c) => {
+      const next = { ...c };
+      delete next.removed;
+      return next;
+    });
+  }
+
+  function deleteCards(ids) {
+    const gone = new Set(ids);
+    setCards((prev) => prev.filter((c) => !gone.has(c.id)));
+    removeRecordings(ids);
+  }
+
+  // Graded Known once, without a log entry: it isn't a review.
+  function markKnown(ids) {
+    const now = Date.now();
+    updateCards(ids, (c) => {
+      const view = viewFor(c, direction);
+      return view.state === "known" ? c : writeBack(c, direction, schedulerFor(c).review(view, "known", now));
+    });
+  }
+
+  function withDeckAndTags(card, { tags, deck }) {
+    const next = { ...card, tags };
+    if (!tags.length) delete next.tags;
+    if (deck) next.deck = deck;
+    if (next.deck === DEFAULT_DECK_ID) delete next.deck;
+    return next;
+  }
+
+  // Stores or removes the card's recording, then sets `audio` to match. If
+  // that fails the card keeps its old `audio` and a notice says why.
+  async function withRecording(card, recording) {
+    if (recording === undefined) return card;
+    try {
+      if (recording) await saveRecording(card.id, recording);
+      else await deleteRecording(card.id);
+    } catch (err) {
+      setNotice(`Could not ${recording ? "save" : "remove"} the recording: ${err.message}`);
+      return card;
+    }
+    const next = { ...card, audio: recording?.name };
+    if (!recording) delete next.audio;
+    return next;
+  }
+
+  // A failure here only leaves unused files behind, but still say so.
+  function removeRecordings(ids) {
+    if (!ids.length) return;
+    deleteRecordings(ids).catch((err) => setNotice(`Could not delete recordings: ${err.message}`));
+  }
+
+  async function saveCard({ base, userFields, tags, deck, recording }) {
+    const id = editing?.id;
+    if (!id) {
+      const card = withDeckAndTags(applyEdits(newCustomCard(base), userFields), { tags, deck });
+      const saved = await withRecording(card, recording);
+      setCards((prev) => [...prev, saved]);
+      setActiveId(card.id);
+    } else {
+      const current = cards.find((c) => c.id === id);
+      const next = base ? { ...current, ...base, rawWord: base.word, word: stripSenseSuffix(base.word) } : current;
+      const saved = await withRecording(withDeckAndTags(applyEdits(next, userFields), { tags, deck }), recording);
+      setCards((prev) => prev.map((c) => (c.id === id ? saved : c)));
+    }
+    setEditing(null);
+  }
+
+  function deleteCard(id) {
+    setCards((prev) => prev.filter((c) => c.id !== id));
+    removeRecordings([id]);
+    setEditing(null);
+  }
+
+  const editingCard = editing?.id ? cards.find((c) => c.id === editing.id) : null;
+
+  function deleteDeck(id) {
+    removeRecordings(cards.filter((c) => deckOf(c) === id && c.audio).map((c) => c.id));
+    setCards((prev) => prev.filter((c) => deckOf(c) !== id));
+    setDecks((prev) => prev.filter((d) => d.id !== id));
+    setPresets((prev) => prev.filter((p) => p.deck !== id));
+    if (deckFilter === id) setDeckFilter("all");
+  }
+
+  function saveScheduling(ids, options) {
+    setDecks((prev) => prev.map((d) => (ids.includes(d.id) ? { ...d, scheduling: options } : d)));
+    setSchedulingFor(null);
+  }
+
+  function applyFilter(f) {
+    const next = pickFilter(f);
+    setDeckFilter(next.deck);
+    setTagFilter(next.tag);
+    setLevelFilter(next.level);
+    setPosFilter(next.pos);
+    setStateFilter(next.state);
+  }
+
+  const tags = useMemo(() => allTags(cards), [cards]);
+
+  const browseCards = useMemo(
+    () => (mode === "knownPage" ? scopedWithRemoved.map((c) => viewFor(c, direction)) : []),
+    [mode, scopedWithRemoved, direction]
+  );
+
   const posInfo =
     activeCard && (POS_LABELS[activeCard.pos] ?? { ko: activeCard.pos || "?", en: "" });
 
@@ -442,36 +1159,35 @@ export default function App() {
     return r ? Math.round((c / r) * 100) : 0;
   }, [todayStats]);
 
-  const knownList = useMemo(() => {
-    const q = knownSearch.trim().toLowerCase();
-    return cards
-      .filter((c) => c.state === "known")
-      .filter((c) => (includeAux ? true : c.pos !== "보"))
-      .filter((c) => {
-        if (!q) return true;
-        const hay = `${c.word ?? ""} ${c.rawWord ?? ""} ${c.hanja ?? ""}`.toLowerCase();
-        return hay.includes(q);
-      })
-      .sort((a, b) => (a.rank ?? 0) - (b.rank ?? 0));
-  }, [cards, knownSearch, includeAux]);
-
   return (
     <div className="app">
       <div className="shell">
         {/* TOP BAR */}
         <div className="topbar">
           <div className="title">TOPIK Flashcards</div>
-          <label className="import">
-            Import CSV
-            <input type="file" accept=".csv" hidden onChange={importCsv} />
-          </label>
+          <div className="topActions">
+            <InstallButton />
+            <button className="import" onClick={() => setSettingsOpen(true)}>Settings</button>
+            <button className="import" onClick={exportBackup} disabled={!cards.length}>Export Backup</button>
+            <button className="import" onClick={() => setDecksOpen(true)}>Decks</button>
+            <button className="import" onClick={() => setInteropOpen(true)}>Anki / Quizlet</button>
+            <label className="import">
+              Restore Backup
+              <input type="file" accept=".json,application/json" hidden onChange={openBackupFile} />
+            </label>
+            <label className="import">
+              Import CSV
+              <input type="file" accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values" hidden onChange={importCsv} />
+            </label>
+          </div>
         </div>
 
         {/* STATS */}
         <div className="meta">
           <div className="stats">
-            Due: {stats.due} · Learning: {stats.learning} · Known: {stats.known} · Total:{" "}
-            {stats.total}
+            <span className="countNew">New: {stats.fresh}</span> ·{" "}
+            <span className="countLearning">Learning: {stats.learning}</span> ·{" "}
+            <span className="countReview">Review: {stats.review}</span> · Known: {stats.known} · Total: {stats.total}
           </div>
           <div className="pillRow">
             <span className="pill">Today: <b>{todayStats?.reviewed ?? 0}</b></span>
@@ -484,9 +1200,39 @@ export default function App() {
             className="search"
             value={search}
             onChange={(e) => setSearch(e.target.value)}
-            placeholder="Search (word / 풀이)…"
+            placeholder="Search: word, ㄱㄱ, 家, level:B lapses>3…"
+            title={SEARCH_HELP}
           />
 
+          <select
+            value={activePreset?.id ?? ""}
+            onChange={(e) => {
+              const preset = presets.find((p) => p.id === e.target.value);
+              applyFilter(preset ?? {});
+            }}
+          >
+            <option value="">{activePreset ? "Preset: clear filters" : "Preset: —"}</option>
+            {presets.map((p) => (
+              <option key={p.id} value={p.id}>Preset: {p.name}</option>
+            ))}
+          </select>
+
+          <select value={deckFilter} onChange={(e) => setDeckFilter(e.target.value)}>
+            <option value="all">Deck: All</option>
+            {decks.map((d) => (
+              <option key={d.id} value={d.id}>Deck: {d.name}</option>
+            ))}
+          </select>
+
+          {tags.length > 0 && (
+            <select value={tagFilter} onChange={(e) => setTagFilter(e.target.value)}>
+              <option value="all">Tag: Any</option>
+              {tags.map((t) => (
+                <option key={t.tag} value={t.tag}>Tag: {t.tag} ({t.count})</option>
+              ))}
+            </select>
+          )}
+
           <select value={levelFilter} onChange={(e) => setLevelFilter(e.target.value)}>
             {LEVEL_FILTERS.map((x) => (
               <option key={x} value={x}>
@@ -503,14 +1249,49 @@ export default function App() {
             ))}
           </select>
 
+          <select value={stateFilter} onChange={(e) => setStateFilter(e.target.value)}>
+            {STATE_FILTERS.map((x) => (
+              <option key={x} value={x}>
+                State: {x === "all" ? "All" : x}
+              </option>
+            ))}
+          </select>
+
           <label className="toggle">
             <input type="checkbox" checked={includeAux} onChange={(e) => setIncludeAux(e.target.checked)} />
             Include 보조용언
           </label>
 
+          <select
+            value={schedulerSettings.id}
+            onChange={(e) => changeScheduler({ ...schedulerSettings, id: e.target.value })}
+          >
+            {SCHEDULERS.map((x) => (
+              <option key={x.id} value={x.id}>
+                Scheduler: {x.name}
+              </option>
+            ))}
+          </select>
+
+          <select
+            value={drill}
+            onChange={(e) => {
+              setDrill(e.target.value);
+              setChoiceResult(null);
+              setFlipped(false);
+            }}
+          >
+            {DRILLS.map((x) => (
+              <option key={x.id} value={x.id}>
+                Drill: {x.label}
+              </option>
+            ))}
+          </select>
+
           <label className="toggle">
             <input
               type="checkbox"
+              disabled={drill !== "flip"}
               checked={typingMode}
               onChange={(e) => {
                 setTypingMode(e.target.checked);
@@ -522,17 +1303,57 @@ export default function App() {
             Typing mode
           </label>
         </div>
+        {searchQuery.problems.length > 0 && <p className="flag searchProblems">{searchQuery.problems.join(" · ")}</p>}
 
         <div className="progressWrap">
           <div className="progressLabel">
-            Queue: <b>{queue.length ? `${queueIndex + 1}/${queue.length}` : "0/0"}</b>
+            {session ? (
+              <>
+                Session: <b>{Math.min(session.pos + 1, session.order.length)}/{session.order.length}</b>
+                {session.limitMs > 0 && (
+                  <> · {sessionLeft > 0 ? `${formatClock(sessionLeft)} left` : "Time's up — last card"}</>
+                )}
+              </>
+            ) : (
+              <>Queue: <b>{queue.length ? `${queueIndex + 1}/${queue.length}` : "0/0"}</b></>
+            )}
           </div>
           <div className="progressBar">
             <div className="progressFill" style={{ width: `${queuePct}%` }} />
           </div>
 
+          {!PAGE_MODES.includes(mode) && (
+            <div className="sessionBar">
+              {session ? (
+                <button className="miniBtn" onClick={() => endSession()}>End session</button>
+              ) : (
+                <>
+                  <select
+                    value={sessionGoal.size}
+                    onChange={(e) => setSessionGoal({ ...sessionGoal, size: Number(e.target.value) })}
+                  >
+                    {SESSION_SIZES.map((n) => (
+                      <option key={n} value={n}>{n} cards</option>
+                    ))}
+                  </select>
+                  <select
+                    value={sessionGoal.minutes}
+                    onChange={(e) => setSessionGoal({ ...sessionGoal, minutes: Number(e.target.value) })}
+                  >
+                    {SESSION_MINUTES.map((m) => (
+                      <option key={m} value={m}>{m ? `${m} min limit` : "No time limit"}</option>
+                    ))}
+                  </select>
+                  <button className="miniBtn primary" onClick={beginSession} disabled={!queue.length}>
+                    Start session
+                  </button>
+                </>
+              )}
+            </div>
+          )}
+
           <div className="progressLabel" style={{ marginTop: 10 }}>
-            Learned: <b>{knownCount}/{cards.length}</b> ({learnedPct}%)
+            Learned: <b>{knownCount}/{scopedCards.length}</b> ({learnedPct}%)
           </div>
           <div className="progressBar">
             <div className="progressFill" style={{ width: `${learnedPct}%` }} />
@@ -541,46 +1362,118 @@ export default function App() {
 
         {/* MODE ROW */}
        <div className="modeRow">
-          <button className="resetBtn" onClick={resetAll}>Reset</button>
+          <div className="topActions">
+            <button className="resetBtn" onClick={resetAll}>Reset</button>
+            <button className="resetBtn" onClick={() => setEditing({ id: null })}>+ New card</button>
+            {snapshot && (
+              <button
+                className="resetBtn"
+                onClick={restoreSnapshot}
+                title={`Snapshot taken ${new Date(snapshot.takenAt).toLocaleString()}`}
+              >
+                Undo {snapshot.reason === "restore" ? "restore" : "reset"}
+              </button>
+            )}
+          </div>
 
           <div className="segmented">
             <button className={mode === "due" ? "active" : ""} onClick={() => setMode("due")}>Due</button>
             <button className={mode === "learning" ? "active" : ""} onClick={() => setMode("learning")}>Learning</button>
             <button className={mode === "known" ? "active" : ""} onClick={() => setMode("known")}>Known</button>
             <button className={mode === "all" ? "active" : ""} onClick={() => setMode("all")}>All</button>
-            <button className={mode === "knownPage" ? "active" : ""} onClick={() => setMode("knownPage")}>Known Cards</button>
+            <button className={mode === "leeches" ? "active" : ""} onClick={() => setMode("leeches")}>Leeches</button>
+            {hanjaFocus && (
+              <button className={mode === "hanja" ? "active" : ""} onClick={() => setMode("hanja")}>
+                {hanjaFocus} family
+              </button>
+            )}
+            <button className={mode === "knownPage" ? "active" : ""} onClick={() => setMode("knownPage")}>Browse</button>
+            <button className={mode === "hanjaPage" ? "active" : ""} onClick={() => setMode("hanjaPage")}>Hanja</button>
+            <button className={mode === "testPage" ? "active" : ""} onClick={() => setMode("testPage")}>Mock Test</button>
+            <button className={mode === "statsPage" ? "active" : ""} onClick={() => setMode("statsPage")}>Stats</button>
           </div>
         </div>
 
         {/* MAIN AREA */}
         <div className="mainArea">
-          {mode === "knownPage" ? (
-            <div className="knownPage">
-              <div className="knownHeader">
-                <h2>Known cards</h2>
-                <input
-                  className="search"
-                  value={knownSearch}
-                  onChange={(e) => setKnownSearch(e.target.value)}
-                  placeholder="Search known…"
-                />
+          {mode === "statsPage" ? (
+            <StatsPage
+              cards={activeCards}
+              reviewLog={reviewLog}
+              hanja={hanjaKnown(hanjaIndex)}
+              schedulerSettings={schedulerSettings}
+              schedulerFor={schedulerFor}
+              newPerDay={limits.newPerDay}
+              onFitFsrs={fitFsrs}
+            />
+          ) : mode === "testPage" ? (
+            <MockTest cards={cards} history={testHistory} onFinish={saveTestResult} onAddToDue={addToDue} />
+          ) : mode === "hanjaPage" ? (
+            <HanjaPage index={hanjaIndex} onPick={setHanjaOpen} />
+          ) : mode === "knownPage" ? (
+            <CardBrowser
+              cards={browseCards}
+              query={browseQuery}
+              onQuery={setBrowseQuery}
+              onEdit={(id) => setEditing({ id })}
+              onHistory={setHistoryFor}
+              onReset={resetCards}
+              onSuspend={suspendCards}
+              onTag={tagCards}
+              onMarkKnown={markKnown}
+              onRestore={restoreCards}
+              onDelete={deleteCards}
+            />
+          ) : sessionSummary ? (
+            <SessionSummary
+              summary={sessionSummary}
+              cards={cards.filter((c) => !c.removed && !c.suspended).map((c) => viewFor(c, direction))}
+              onRestart={beginSession}
+              onClose={() => setSessionSummary(null)}
+            />
+          ) : activeCard && choices ? (
+            <>
+              <ChoiceQuiz
+                card={activeCard}
+                prompt={studyDrill === "reverse" ? meaningOf(activeCard) : activeCard.word}
+                promptLabel={
+                  studyDrill === "reverse"
+                    ? "Pick the Korean word"
+                    : `Pick the meaning${sense ? ` (${sense.revealing ? "" : `${sense.label}, `}${sense.index + 1} of ${sense.count} senses)` : ""}`
+                }
+                choices={choices}
+                result={choiceResult}
+                posInfo={posInfo}
+                onPick={pickChoice}
+                onContinue={continueChoice}
+              />
+
+              <div className="navRow">
+                <button className="miniBtn" onClick={prevCard}>← Prev</button>
+                <button className="miniBtn" onClick={undoLast} disabled={!undoStack.length}>Undo (U)</button>
+                <button className="miniBtn" onClick={() => setHistoryFor(activeCard.id)}>History (H)</button>
+                <button className="miniBtn" onClick={nextCard}>Next →</button>
               </div>
+            </>
+          ) : activeCard && conjugationForm ? (
+            <>
+              <ConjugationDrill
+                key={`${activeCard.id}-${conjugationForm.id}-${conjugationRound}`}
+                card={activeCard}
+                form={conjugationForm}
+                posInfo={posInfo}
+                onAnswer={(correct) => {
+                  recordInSession(activeCard, correct);
+                  bumpStats({ pos: activeCard.pos, correct });
+                }}
+                onNext={nextConjugation}
+              />
 
-              <div className="knownList">
-                {knownList.map((c) => (
-                  <div key={c.id} className="knownRow">
-                    <div className="knownMain">
-                      <div className="knownWord">{c.word}</div>
-                      <div className="knownMeta">
-                        {c.level || "?"} · {c.pos || "?"} · {c.hanja || ""}
-                      </div>
-                    </div>
-                    <button className="resetBtn" onClick={() => resetOneCard(c.id)}>Reset</button>
-                  </div>
-                ))}
-                {!knownList.length && <p>No known cards found.</p>}
+              <div className="navRow">
+                <button className="miniBtn" onClick={prevCard}>← Prev</button>
+                <button className="miniBtn" onClick={nextConjugation}>Next →</button>
               </div>
-            </div>
+            </>
           ) : activeCard ? (
             <>
               <div
@@ -600,28 +1493,62 @@ export default function App() {
                       <div className="badgeEn">Level</div>
                     </div>
 
-                    {typingMode ? (
+                    {typing ? (
                       <div className="typingBox" onClick={(e) => e.stopPropagation()}>
-                        <div className="typingPrompt">{activeCard.hanja || "No 풀이"}</div>
+                        {studyDrill === "dictation" ? (
+                          <div className="typingPrompt">
+                            <button type="button" className="miniBtn playBtn" onClick={() => playWord(activeCard, true)}>
+                              🔊 Play again (R)
+                            </button>
+                            <div className="senseHint">Type the word you hear</div>
+                          </div>
+                        ) : (
+                          <div className="typingPrompt">
+                            {meaningOf(activeCard) || "No meaning yet — press E to add one"}
+                            {englishOf(activeCard) && activeCard.hanja && (
+                              <span className="muted"> · {activeCard.hanja}</span>
+                            )}
+                            {promptHint(activeCard, senses) && (
+                              <div className="senseHint">{promptHint(activeCard, senses)}</div>
+                            )}
+                          </div>
+                        )}
                         <form onSubmit={submitTyping} className="typingForm">
                           <input
                             className="typingInput"
                             value={typed}
                             onChange={(e) => setTyped(e.target.value)}
-                            placeholder="Type the Korean word…"
+                            placeholder={studyDrill === "dictation" ? "Type what you hear…" : "Type the Korean word…"}
                             autoComplete="off"
                           />
                           <button className="miniBtn" type="submit">Check</button>
                         </form>
 
                         {typedResult && (
-                          <div className={`typingResult ${typedResult.ok ? "ok" : typedResult.close ? "close" : "bad"}`}>
-                            {typedResult.ok ? "✅ Correct" : typedResult.close ? "🟨 Close match" : "❌ Wrong"}
+                          <div className={`typingResult ${typedResult.ok ? "ok" : typedResult.close || typedResult.conjugated ? "close" : "bad"}`}>
+                            {typedResult.ok
+                              ? "✅ Correct"
+                              : typedResult.wrongSense
+                                ? "❌ That sense number is a different word"
+                                : typedResult.conjugated
+                                ? `🟨 Conjugated — the dictionary form is ${activeCard.word}`
+                                : typedResult.close
+                                  ? "🟨 Close match"
+                                  : "❌ Wrong"}
+                            <AnswerDiff ops={typedResult.ops} />
                           </div>
                         )}
                       </div>
                     ) : (
-                      <div className="front">{activeCard.word}</div>
+                      <div className="front">
+                        {activeCard.word}
+                        {sense && (
+                          <div className="senseHint">
+                            {sense.revealing ? "" : `${sense.label} · `}
+                            {sense.index + 1} of {sense.count} senses
+                          </div>
+                        )}
+                      </div>
                     )}
                   </div>
 
@@ -634,9 +1561,47 @@ export default function App() {
                             <div className="muted" style={{ marginBottom: 6 }}>Answer</div>
                             {activeCard.word}
                           </>
-                          {activeCard.hanja || <span className="muted">No 풀이</span>}
+                          {activeCard.hanja ? (
+                            <HanjaText text={activeCard.hanja} onPick={setHanjaOpen} />
+                          ) : (
+                            <span className="muted">No 풀이</span>
+                          )}
+                          {englishOf(activeCard) && <div className="backEnglish">{englishOf(activeCard)}</div>}
                       </div>
 
+                      {senses && (
+                        <div className="examples">
+                          <div className="examplesTitle">Senses of {activeCard.word}</div>
+                          <ul className="senseList">
+                            {senses.map((c) => (
+                              <li key={c.id} className={c.id === activeCard.id ? "current" : ""}>
+                                {c.hanja || englishOf(c) || "—"}{" "}
+                                <span className="muted">
+                                  {c.pos || "?"} · {c.level || "?"} · {viewFor(c, direction).state ?? "new"}
+                                </span>
+                              </li>
+                            ))}
+                          </ul>
+                        </div>
+                      )}
+
+                      {(fieldOf(activeCard, "mnemonic") || fieldOf(activeCard, "note")) && (
+                        <div className="note">
+                          {fieldOf(activeCard, "mnemonic") && (
+                            <>
+                              <div className="noteTitle">Mnemonic</div>
+                              <div className="noteBody">{fieldOf(activeCard, "mnemonic")}</div>
+                            </>
+                          )}
+                          {fieldOf(activeCard, "note") && (
+                            <>
+                              <div className="noteTitle">Note</div>
+                              <div className="noteBody">{fieldOf(activeCard, "note")}</div>
+                            </>
+                          )}
+                        </div>
+                      )}
+
                       {(() => {
                         const note = grammarNote(activeCard);
                         if (!note) return null;
@@ -649,7 +1614,7 @@ export default function App() {
                       })()}
 
                       {(() => {
-                        const ex = autoExamples(activeCard);
+                        const ex = [...examplesOf(activeCard), ...exampleSentences(activeCard)];
                         if (!ex.length) return null;
                         return (
                           <div className="examples">
@@ -673,14 +1638,184 @@ export default function App() {
 
               <div className="navRow">
                 <button className="miniBtn" onClick={prevCard}>← Prev</button>
+                <button className="miniBtn" onClick={undoLast} disabled={!undoStack.length}>Undo (U)</button>
+                <button className="miniBtn" onClick={() => setEditing({ id: activeCard.id })}>Edit (E)</button>
+                <button className="miniBtn" onClick={() => setHistoryFor(activeCard.id)}>History (H)</button>
+                <button className="miniBtn" onClick={() => playWord(activeCard, true)}>Play (R)</button>
                 <button className="miniBtn" onClick={nextCard}>Next →</button>
               </div>
+
+              {leechMode && flipped && (
+                <LeechPanel
+                  card={activeCard}
+                  cards={cards}
+                  onRelease={() => releaseOneCard(activeCard.id)}
+                  onEdit={() => setEditing({ id: activeCard.id })}
+                />
+              )}
             </>
           ) : (
-            <p>{cards.length ? "No cards in this mode (or filters removed them)." : "Import your CSV to begin."}</p>
+            <div className="emptyState">
+              {!loaded ? (
+                <p>Loading the TOPIK word list…</p>
+              ) : cards.length && studyDrill === "dictation" && !voice ? (
+                <p>
+                  Dictation needs an offline Korean voice, or cards with recordings attached (Settings → Audio, or
+                  Edit on a card).
+                </p>
+              ) : cards.length ? (
+                <p>No cards in this mode (or filters removed them).</p>
+              ) : (
+                <>
+                  <p>No cards yet. Start with the built-in TOPIK word list, or import your own CSV.</p>
+                  <button className="miniBtn primary" onClick={loadDefaultWords}>
+                    Load TOPIK word list ({BUNDLED_DATASET.name})
+                  </button>
+                </>
+              )}
+            </div>
           )}
         </div>
       </div>
+
+      {importFile && (
+        <ImportWizard
+          fileName={importFile.fileName}
+          text={importFile.text}
+          encoding={importFile.encoding}
+          onConfirm={confirmImport}
+          onCancel={() => setImportFile(null)}
+        />
+      )}
+
+      {pendingImport && (
+        <ImportPreview
+          fileName={pendingImport.fileName}
+          plan={pendingImport.plan}
+          partial={pendingImport.partial}
+          replaceDeletes={pendingImport.replaceDeletes}
+          onMerge={() => applyImportedCards([...pendingImport.others, ...pendingImport.plan.cards])}
+          onReplace={() => {
+            // A replaced deck is the user's own list; bundled updates no longer apply to it.
+            if (pendingImport.deck === DEFAULT_DECK_ID) setDataset(null);
+            const replaced = carryOverUserContent(pendingImport.inDeck, pendingImport.parsed);
+            const kept = new Set(replaced.map((c) => c.id));
+            removeRecordings(pendingImport.inDeck.filter((c) => c.audio && !kept.has(c.id)).map((c) => c.id));
+            applyImportedCards([...pendingImport.others, ...replaced]);
+          }}
+          onCancel={() => setPendingImport(null)}
+        />
+      )}
+
+      <PwaPrompt />
+
+      {notice && (
+        <div className="toast" role="status">
+          <span>{notice}</span>
+          {saveBlocked && (
+            <button className="miniBtn" onClick={loadSaved}>Try again</button>
+          )}
+          <button className="miniBtn" onClick={() => setNotice(null)}>OK</button>
+        </div>
+      )}
+
+      {editing && (
+        <CardEditor
+          card={editingCard}
+          decks={decks}
+          defaultDeck={importTarget}
+          onSave={saveCard}
+          onDelete={editingCard?.custom ? () => deleteCard(editingCard.id) : null}
+          onCancel={() => setEditing(null)}
+        />
+      )}
+
+      {decksOpen && (
+        <DecksDialog
+          decks={decks}
+          counts={deckCounts(cards)}
+          tags={tags}
+          presets={presets}
+          filter={filter}
+          onChangeDecks={setDecks}
+          onDeleteDeck={deleteDeck}
+          onImportCsv={importCsv}
+          onStudyDeck={(id) => {
+            setDeckFilter(id);
+            setDecksOpen(false);
+          }}
+          onSchedulingDeck={(id) => {
+            setDecksOpen(false);
+            setSchedulingFor(id);
+          }}
+          onChangePresets={setPresets}
+          onApplyPreset={(p) => {
+            applyFilter(p);
+            setDecksOpen(false);
+          }}
+          onClose={() => setDecksOpen(false)}
+        />
+      )}
+
+      {schedulingFor && (
+        <SchedulingDialog
+          decks={decks}
+          deckId={schedulingFor}
+          schedulerId={schedulerSettings.id}
+          onSave={saveScheduling}
+          onClose={() => setSchedulingFor(null)}
+        />
+      )}
+
+      {interopOpen && (
+        <InteropDialog cards={cards} onImport={importDeck} onClose={() => setInteropOpen(false)} />
+      )}
+
+      {historyFor && cards.some((c) => c.id === historyFor) && (
+        <CardHistory
+          card={cards.find((c) => c.id === historyFor)}
+          entries={reviewLog.filter((e) => e.cardId === historyFor)}
+          onClose={() => setHistoryFor(null)}
+        />
+      )}
+
+      {hanjaOpen && (
+        <HanjaFamily
+          char={hanjaOpen}
+          words={hanjaIndex.get(hanjaOpen) ?? []}
+          onStudy={() => studyFamily(hanjaOpen)}
+          onClose={() => setHanjaOpen(null)}
+        />
+      )}
+
+      {settingsOpen && (
+        <SettingsDialog
+          limits={limits}
+          onChangeLimits={setLimits}
+          leech={leech}
+          onChangeLeech={setLeech}
+          audio={audio}
+          onChangeAudio={setAudio}
+          voiceName={voice?.name ?? null}
+          onAttachRecordings={attachRecordings}
+          onOpenScheduling={() => {
+            setSettingsOpen(false);
+            setSchedulingFor(importTarget);
+          }}
+          onClose={() => setSettingsOpen(false)}
+        />
+      )}
+
+      {pendingRestore && (
+        <RestoreDialog
+          fileName={pendingRestore.fileName}
+          backup={pendingRestore.backup}
+          error={pendingRestore.error}
+          hasCards={cards.length > 0}
+          onRestore={restorePending}
+          onCancel={() => setPendingRestore(null)}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,28 @@
+function partHint(parts) {
+  if (!parts) return "";
+  const out = [];
+  if (parts.cho) out.push(`초성 ${parts.cho[0]}→${parts.cho[1]}`);
+  if (parts.jung) out.push(`중성 ${parts.jung[0]}→${parts.jung[1]}`);
+  if (parts.jong) out.push(`받침 ${parts.jong[0]}→${parts.jong[1]}`);
+  return out.join(", ");
+}
+
+// Per-syllable comparison of a typed answer against the expected word.
+export default function AnswerDiff({ ops }) {
+  if (!ops?.length) return null;
+  return (
+    <div className="answerDiff">
+      {ops.map((op, i) => {
+        const minor = op.type === "sub" && op.cost < 1;
+        const cls = op.type === "match" ? "match" : minor ? "minor" : "wrong";
+        return (
+          <div key={i} className={`diffCell ${cls}`} title={partHint(op.parts)}>
+            <div className="diffTyped">{op.typed || "·"}</div>
+            <div className="diffExpected">{op.expected || "·"}</div>
+            {op.parts && <div className="diffHint">{partHint(op.parts)}</div>}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
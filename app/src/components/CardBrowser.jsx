@@ -0,0 +1,261 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { englishOf } from "../lib/cards";
+import { formatUntil } from "../lib/dates";
+import { isLeech } from "../lib/leeches";
+import { parseQuery, matchesQuery, SEARCH_HELP } from "../lib/search";
+
+const ROW_HEIGHT = 38;
+const OVERSCAN = 8;
+
+const STATE_ORDER = { new: 0, learning: 1, known: 2 };
+
+function dueOf(c) {
+  return (c.state ?? "new") === "new" ? Infinity : c.due ?? Infinity;
+}
+
+const COLUMNS = [
+  { id: "word", label: "단어", sort: (c) => c.word ?? "" },
+  { id: "meaning", label: "Meaning", sort: (c) => englishOf(c) || c.hanja || "" },
+  { id: "level", label: "Level", sort: (c) => c.level || "~" },
+  { id: "pos", label: "POS", sort: (c) => c.pos || "~" },
+  { id: "state", label: "State", sort: (c) => STATE_ORDER[c.state ?? "new"] ?? 0 },
+  { id: "due", label: "Due", sort: dueOf },
+  { id: "interval", label: "Ivl", sort: (c) => c.intervalDays ?? 0 },
+  { id: "lapses", label: "Lapses", sort: (c) => c.lapses ?? 0 },
+  { id: "rank", label: "Rank", sort: (c) => c.rank ?? Infinity },
+];
+
+function compare(a, b) {
+  if (typeof a === "string") return a.localeCompare(b, "ko");
+  return a === b ? 0 : a < b ? -1 : 1;
+}
+
+function stateLabel(c) {
+  if (c.removed) return "removed";
+  if (c.suspended) return isLeech(c) ? "leech (suspended)" : "suspended";
+  return isLeech(c) ? `${c.state ?? "new"} · leech` : c.state ?? "new";
+}
+
+// Every card in the active deck/preset as a sortable table. Only the rows in
+// view are rendered, so the full word list scrolls smoothly. `cards` are the
+// views for the current direction; cards dropped from their word list by an
+// import are listed only when the query asks for is:removed.
+export default function CardBrowser({
+  cards,
+  query,
+  onQuery,
+  onEdit,
+  onHistory,
+  onReset,
+  onSuspend,
+  onTag,
+  onMarkKnown,
+  onRestore,
+  onDelete,
+}) {
+  const [now] = useState(() => Date.now());
+  const [sort, setSort] = useState({ by: "rank", desc: false });
+  const [selected, setSelected] = useState(() => new Set());
+  const [scrollTop, setScrollTop] = useState(0);
+  const [height, setHeight] = useState(600);
+  const [tag, setTag] = useState("");
+  const [confirmReset, setConfirmReset] = useState(false);
+  const [confirmDelete, setConfirmDelete] = useState(false);
+  const scroller = useRef(null);
+  const lastClicked = useRef(null);
+
+  useEffect(() => {
+    const el = scroller.current;
+    if (!el || typeof ResizeObserver === "undefined") return;
+    const observer = new ResizeObserver(() => setHeight(el.clientHeight));
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, []);
+
+  const parsed = useMemo(() => parseQuery(query), [query]);
+  const showRemoved = parsed.filters.some((f) => f.field === "is" && f.value === "removed");
+  const removedCount = useMemo(() => cards.filter((c) => c.removed).length, [cards]);
+
+  const rows = useMemo(() => {
+    const key = COLUMNS.find((c) => c.id === sort.by).sort;
+    const list = cards.filter((c) => (showRemoved || !c.removed) && matchesQuery(c, parsed, now));
+    list.sort((a, b) => compare(key(a), key(b)) || (a.rank ?? 0) - (b.rank ?? 0));
+    if (sort.desc) list.reverse();
+    return list;
+  }, [cards, parsed, showRemoved, sort, now]);
+
+  const picked = rows.filter((c) => selected.has(c.id));
+  const pickedIds = picked.map((c) => c.id);
+  const allSuspended = picked.length > 0 && picked.every((c) => c.suspended);
+  const allRemoved = picked.length > 0 && picked.every((c) => c.removed);
+
+  const first = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN);
+  const last = Math.min(rows.length, Math.ceil((scrollTop + height) / ROW_HEIGHT) + OVERSCAN);
+
+  function sortBy(id) {
+    setSort((s) => (s.by === id ? { by: id, desc: !s.desc } : { by: id, desc: false }));
+  }
+
+  // Shift-click selects the range from the previous click.
+  function toggle(index, shift) {
+    const anchor = shift && lastClicked.current != null ? lastClicked.current : index;
+    const ids = rows.slice(Math.min(anchor, index), Math.max(anchor, index) + 1).map((c) => c.id);
+    const on = !selected.has(rows[index].id);
+    setSelected((prev) => {
+      const next = new Set(prev);
+      for (const id of ids) {
+        if (on) next.add(id);
+        else next.delete(id);
+      }
+      return next;
+    });
+    lastClicked.current = index;
+  }
+
+  function toggleAll() {
+    setSelected(picked.length === rows.length ? new Set() : new Set(rows.map((c) => c.id)));
+  }
+
+  function addTag(add) {
+    if (!tag.trim()) return;
+    onTag(pickedIds, tag.trim(), add);
+    setTag("");
+  }
+
+  return (
+    <div className="knownPage">
+      <div className="knownHeader">
+        <h2>Browse cards</h2>
+        <input
+          className="search browserSearch"
+          value={query}
+          onChange={(e) => onQuery(e.target.value)}
+          placeholder="Search: 가구, ㄱㄱ, 家, lapses>3 due<7d…"
+          title={SEARCH_HELP}
+        />
+      </div>
+      {parsed.problems.length > 0 && <p className="flag">{parsed.problems.join(" · ")}</p>}
+
+      <div className="browserBar">
+        <span className="muted">
+          {picked.length ? `${picked.length} of ${rows.length} selected` : `${rows.length} cards`}
+        </span>
+        {!showRemoved && removedCount > 0 && (
+          <button className="miniBtn" onClick={() => onQuery(`${query.trim()} is:removed`.trim())}>
+            Show {removedCount} removed from word list
+          </button>
+        )}
+        {allRemoved && (
+          <>
+            <button className="miniBtn" onClick={() => onRestore(pickedIds)}>Restore</button>
+            {confirmDelete ? (
+              <>
+                <button
+                  className="resetBtn"
+                  onClick={() => {
+                    onDelete(pickedIds);
+                    setSelected(new Set());
+                    setConfirmDelete(false);
+                  }}
+                >
+                  Delete {picked.length} for good
+                </button>
+                <button className="miniBtn" onClick={() => setConfirmDelete(false)}>Keep</button>
+              </>
+            ) : (
+              <button className="miniBtn" onClick={() => setConfirmDelete(true)}>Delete</button>
+            )}
+          </>
+        )}
+        {picked.length > 0 && (
+          <>
+            {confirmReset ? (
+              <>
+                <button
+                  className="resetBtn"
+                  onClick={() => {
+                    onReset(pickedIds);
+                    setConfirmReset(false);
+                  }}
+                >
+                  Reset progress of {picked.length}
+                </button>
+                <button className="miniBtn" onClick={() => setConfirmReset(false)}>Keep</button>
+              </>
+            ) : (
+              <button className="miniBtn" onClick={() => setConfirmReset(true)}>Reset</button>
+            )}
+            <button className="miniBtn" onClick={() => onSuspend(pickedIds, !allSuspended)}>
+              {allSuspended ? "Unsuspend" : "Suspend"}
+            </button>
+            <button className="miniBtn" onClick={() => onMarkKnown(pickedIds)}>Mark known</button>
+            <input className="browserTag" value={tag} onChange={(e) => setTag(e.target.value)} placeholder="tag" />
+            <button className="miniBtn" disabled={!tag.trim()} onClick={() => addTag(true)}>Add tag</button>
+            <button className="miniBtn" disabled={!tag.trim()} onClick={() => addTag(false)}>Remove tag</button>
+            <button className="miniBtn" onClick={() => setSelected(new Set())}>Clear</button>
+          </>
+        )}
+      </div>
+
+      <div className="browserTable" role="table">
+        <div className="browserRow browserHead" role="row">
+          <span>
+            <input
+              type="checkbox"
+              aria-label="Select all"
+              checked={rows.length > 0 && picked.length === rows.length}
+              onChange={toggleAll}
+            />
+          </span>
+          {COLUMNS.map((col) => (
+            <button key={col.id} className={sort.by === col.id ? "active" : ""} onClick={() => sortBy(col.id)}>
+              {col.label}
+              {sort.by === col.id && (sort.desc ? " ↓" : " ↑")}
+            </button>
+          ))}
+          <span />
+        </div>
+
+        <div className="browserScroll" ref={scroller} onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}>
+          <div style={{ height: rows.length * ROW_HEIGHT, position: "relative" }}>
+            {rows.slice(first, last).map((c, i) => {
+              const index = first + i;
+              return (
+                <div
+                  key={c.id}
+                  className={"browserRow" + (selected.has(c.id) ? " selected" : "")}
+                  role="row"
+                  style={{ top: index * ROW_HEIGHT, height: ROW_HEIGHT }}
+                >
+                  <span>
+                    <input
+                      type="checkbox"
+                      aria-label={`Select ${c.word}`}
+                      checked={selected.has(c.id)}
+                      onChange={() => {}}
+                      onClick={(e) => toggle(index, e.shiftKey)}
+                    />
+                  </span>
+                  <b>{c.word}</b>
+                  <span className="browserMeaning">{englishOf(c) || c.hanja}</span>
+                  <span>{c.level || "?"}</span>
+                  <span>{c.pos || "?"}</span>
+                  <span className={c.removed || c.suspended || isLeech(c) ? "flag" : ""}>{stateLabel(c)}</span>
+                  <span>{dueOf(c) === Infinity ? "" : formatUntil(c.due, now)}</span>
+                  <span>{c.intervalDays ? `${c.intervalDays}d` : ""}</span>
+                  <span>{c.lapses || ""}</span>
+                  <span>{c.rank ?? ""}</span>
+                  <span className="browserActions">
+                    <button className="miniBtn" onClick={() => onEdit(c.id)}>Edit</button>
+                    <button className="miniBtn" onClick={() => onHistory(c.id)}>History</button>
+                  </span>
+                </div>
+              );
+            })}
+          </div>
+          {!rows.length && <p>No cards match.</p>}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,151 @@
+import { useState } from "react";
+import { fieldOf, splitExamples } from "../lib/cards";
+import { deckOf, parseTags } from "../lib/decks";
+
+const POS_OPTIONS = ["명", "동", "형", "부", "의", "관", "대", "감", "수", "접", "보"];
+const LEVEL_OPTIONS = ["A", "B", "C"];
+
+function initialForm(card, defaultDeck) {
+  return {
+    deck: card ? deckOf(card) : defaultDeck,
+    tags: (card?.tags ?? []).join(" "),
+    word: card?.rawWord ?? "",
+    pos: card?.pos ?? "명",
+    level: card?.level ?? "A",
+    hanja: card?.hanja ?? "",
+    english: card ? fieldOf(card, "english") ?? "" : "",
+    note: card ? fieldOf(card, "note") ?? "" : "",
+    mnemonic: card ? fieldOf(card, "mnemonic") ?? "" : "",
+    examples: card ? (fieldOf(card, "examples") ?? []).join("\n") : "",
+    recording: null,
+    removeRecording: false,
+  };
+}
+
+// Edit the user's own fields on a card, or create a custom card when `card`
+// is null. For CSV cards only the overrides are editable; custom cards can
+// change everything.
+export default function CardEditor({ card, decks, defaultDeck, onSave, onDelete, onCancel }) {
+  const [form, setForm] = useState(() => initialForm(card, defaultDeck));
+  const isNew = !card;
+  const fullEdit = isNew || card.custom;
+
+  function setField(field, value) {
+    setForm((f) => ({ ...f, [field]: value }));
+  }
+
+  function save(e) {
+    e.preventDefault();
+    if (fullEdit && !form.word.trim()) return;
+
+    const userFields = {
+      english: form.english.trim(),
+      note: form.note.trim(),
+      mnemonic: form.mnemonic.trim(),
+      examples: splitExamples(form.examples),
+    };
+    onSave({
+      base: fullEdit
+        ? { word: form.word.trim(), pos: form.pos, level: form.level, hanja: form.hanja.trim() }
+        : null,
+      userFields,
+      tags: parseTags(form.tags),
+      // Only custom cards can move; a CSV card's id is tied to its deck.
+      deck: fullEdit ? form.deck : null,
+      // A File to attach, null to remove the current one, undefined to keep it.
+      recording: form.recording ?? (form.removeRecording ? null : undefined),
+    });
+  }
+
+  return (
+    <div className="modalBackdrop" onClick={onCancel}>
+      <form className="modal" onClick={(e) => e.stopPropagation()} onSubmit={save}>
+        <h2>{isNew ? "New card" : `Edit ${card.word}`}</h2>
+        {!fullEdit && (
+          <p className="modalSub">
+            {card.rawWord} · {card.pos || "?"} · {card.level || "?"} · {card.hanja || "No 풀이"}
+          </p>
+        )}
+
+        {fullEdit && (
+          <div className="fieldGrid">
+            <label className="field">
+              <span>단어</span>
+              <input value={form.word} onChange={(e) => setField("word", e.target.value)} autoFocus required />
+            </label>
+            <label className="field">
+              <span>품사</span>
+              <select value={form.pos} onChange={(e) => setField("pos", e.target.value)}>
+                {POS_OPTIONS.map((p) => <option key={p} value={p}>{p}</option>)}
+              </select>
+            </label>
+            <label className="field">
+              <span>등급</span>
+              <select value={form.level} onChange={(e) => setField("level", e.target.value)}>
+                {LEVEL_OPTIONS.map((l) => <option key={l} value={l}>{l}</option>)}
+              </select>
+            </label>
+            <label className="field">
+              <span>풀이 (hanja)</span>
+              <input value={form.hanja} onChange={(e) => setField("hanja", e.target.value)} />
+            </label>
+            <label className="field">
+              <span>Deck</span>
+              <select value={form.deck} onChange={(e) => setField("deck", e.target.value)}>
+                {decks.map((d) => <option key={d.id} value={d.id}>{d.name}</option>)}
+              </select>
+            </label>
+          </div>
+        )}
+
+        <label className="field">
+          <span>English meaning</span>
+          <input
+            value={form.english}
+            onChange={(e) => setField("english", e.target.value)}
+            autoFocus={!fullEdit}
+            placeholder={card?.english ? `From CSV: ${card.english}` : ""}
+          />
+        </label>
+        <label className="field">
+          <span>Note</span>
+          <textarea rows={2} value={form.note} onChange={(e) => setField("note", e.target.value)} />
+        </label>
+        <label className="field">
+          <span>Mnemonic</span>
+          <textarea rows={2} value={form.mnemonic} onChange={(e) => setField("mnemonic", e.target.value)} />
+        </label>
+        <label className="field">
+          <span>Example sentences (one per line)</span>
+          <textarea rows={3} value={form.examples} onChange={(e) => setField("examples", e.target.value)} />
+        </label>
+
+        <label className="field">
+          <span>Tags (space or comma separated)</span>
+          <input value={form.tags} onChange={(e) => setField("tags", e.target.value)} placeholder="e.g. 5과 news" />
+        </label>
+
+        <label className="field">
+          <span>
+            Recording (played when there is no Korean voice)
+            {card?.audio && !form.removeRecording && !form.recording && <span className="muted"> · {card.audio}</span>}
+          </span>
+          <input type="file" accept="audio/*" onChange={(e) => setField("recording", e.target.files?.[0] ?? null)} />
+        </label>
+        {card?.audio && !form.recording && (
+          <button type="button" className="miniBtn" onClick={() => setField("removeRecording", !form.removeRecording)}>
+            {form.removeRecording ? "Keep recording" : "Remove recording"}
+          </button>
+        )}
+
+        <div className="modalActions">
+          {card?.custom && onDelete && (
+            <button type="button" className="resetBtn" onClick={onDelete}>Delete card</button>
+          )}
+          <button type="button" className="miniBtn" onClick={onCancel}>Cancel</button>
+          <button type="submit" className="miniBtn primary">Save</button>
+        </div>
+      </form>
+    </div>
+  );
+}
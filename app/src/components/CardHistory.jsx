@@ -0,0 +1,75 @@
+import { useState } from "react";
+import { meaningOf } from "../lib/cards";
+import { formatUntil } from "../lib/dates";
+
+const GRADE_LABELS = { again: "Again", learning: "Learning", known: "Known" };
+const GRADE_CLASSES = { again: "countLearning", learning: "", known: "countReview" };
+
+function interval(days) {
+  return days > 0 ? `${days}d` : "–";
+}
+
+function scheduleOf(card, now) {
+  if (!card?.state || card.state === "new") return "new";
+  return `${card.state} · ${interval(card.intervalDays)} · due ${formatUntil(card.due ?? now, now)}`;
+}
+
+// Every logged grade of one card, newest first, with the interval it led to.
+// Older log entries have no `nextDue`, so that column is blank for them.
+export default function CardHistory({ card, entries, onClose }) {
+  const [now] = useState(() => Date.now());
+  const rows = [...entries].sort((a, b) => b.ts - a.ts);
+
+  return (
+    <div className="modalBackdrop" onClick={onClose}>
+      <div className="modal" onClick={(e) => e.stopPropagation()}>
+        <h2>{card.word}</h2>
+        <p className="modalSub">
+          {meaningOf(card) && <>{meaningOf(card)} · </>}
+          {entries.length} reviews logged · {card.lapses ?? 0} lapses
+        </p>
+        <p className="modalSub muted">
+          Now: {scheduleOf(card, now)}
+          {card.reverse && <> · reverse: {scheduleOf(card.reverse, now)}</>}
+        </p>
+
+        {rows.length ? (
+          <div className="tableScroll historyTable">
+            <table className="statsTable">
+              <thead>
+                <tr>
+                  <th>Date</th>
+                  <th>Grade</th>
+                  <th>Interval</th>
+                  <th>Next review</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((e) => (
+                  <tr key={e.id}>
+                    <th>
+                      {new Date(e.ts).toLocaleString()}
+                      {e.direction === "reverse" && <span className="muted"> · reverse</span>}
+                    </th>
+                    <td className={GRADE_CLASSES[e.grade]}>
+                      {GRADE_LABELS[e.grade] ?? e.grade}
+                      {e.typing && <span className="muted"> · typed</span>}
+                    </td>
+                    <td>{interval(e.prevInterval)} → {interval(e.newInterval)}</td>
+                    <td>{e.nextDue ? formatUntil(e.nextDue, e.ts).replace(/^in /, "+") : ""}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <p>No reviews logged for this card yet.</p>
+        )}
+
+        <div className="modalActions">
+          <button className="miniBtn" onClick={onClose}>Close</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,45 @@
+export default function ChoiceQuiz({ card, prompt, promptLabel, choices, result, posInfo, onPick, onContinue }) {
+  return (
+    <div className="card choiceCard">
+      <div className="badge badgeLeft">
+        <div className="badgeKo">{card.pos || "?"}</div>
+        <div className="badgeEn">{posInfo?.en || ""}</div>
+      </div>
+      <div className="badge badgeRight">
+        <div className="badgeKo">{card.level || "?"}</div>
+        <div className="badgeEn">Level</div>
+      </div>
+
+      <div className="choicePrompt">
+        <div className="muted">{promptLabel}</div>
+        <div className="choicePromptText">{prompt}</div>
+      </div>
+
+      <div className="choiceGrid">
+        {choices.map((opt, i) => {
+          let cls = "";
+          if (result) {
+            if (opt.correct) cls = "ok";
+            else if (opt.id === result.pickedId) cls = "bad";
+            else cls = "dim";
+          }
+          return (
+            <button key={opt.id} className={`choiceBtn ${cls}`} onClick={() => onPick(opt)} disabled={Boolean(result)}>
+              <span className="choiceKey">{i + 1}</span>
+              {opt.text}
+            </button>
+          );
+        })}
+      </div>
+
+      {result && (
+        <div className="choiceFooter">
+          <div className={`typingResult ${result.correct ? "ok" : "bad"}`}>
+            {result.correct ? "✅ Correct" : "❌ Wrong"} — {card.word} · {card.hanja || "No 풀이"}
+          </div>
+          <button className="miniBtn primary" onClick={onContinue}>Continue (Space)</button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,76 @@
+import { useState } from "react";
+import { meaningOf } from "../lib/cards";
+import { checkAnswer } from "../lib/hangul";
+import { conjugations } from "../lib/conjugate";
+import AnswerDiff from "./AnswerDiff";
+
+// Asks for one form of a verb or adjective and checks the typed answer. The
+// full table is shown afterwards. Keyed by card + form, so state resets.
+export default function ConjugationDrill({ card, form, posInfo, onAnswer, onNext }) {
+  const [typed, setTyped] = useState("");
+  const [result, setResult] = useState(null);
+  const table = conjugations(card.word);
+  const answer = table.find((f) => f.id === form.id)?.text ?? "";
+
+  function submit(e) {
+    e.preventDefault();
+    if (result) return onNext();
+    if (!typed.trim()) return;
+    const r = checkAnswer(typed, answer);
+    setResult(r);
+    onAnswer(r.ok);
+  }
+
+  return (
+    <div className="card choiceCard">
+      <div className="badge badgeLeft">
+        <div className="badgeKo">{card.pos || "?"}</div>
+        <div className="badgeEn">{posInfo?.en || ""}</div>
+      </div>
+      <div className="badge badgeRight">
+        <div className="badgeKo">{card.level || "?"}</div>
+        <div className="badgeEn">Level</div>
+      </div>
+
+      <div className="choicePrompt">
+        <div className="muted">{meaningOf(card) || " "}</div>
+        <div className="choicePromptText">{card.word}</div>
+        <div className="conjugationForm">
+          {form.label} <span className="muted">{form.hint}</span>
+        </div>
+      </div>
+
+      <form onSubmit={submit} className="typingForm">
+        <input
+          className="typingInput"
+          value={typed}
+          onChange={(e) => setTyped(e.target.value)}
+          placeholder="Type the form…"
+          autoComplete="off"
+          autoFocus
+          readOnly={Boolean(result)}
+        />
+        <button className="miniBtn primary" type="submit">{result ? "Next (Enter)" : "Check"}</button>
+      </form>
+
+      {result && (
+        <div className="choiceFooter">
+          <div className={`typingResult ${result.ok ? "ok" : result.close ? "close" : "bad"}`}>
+            {result.ok ? "✅ Correct" : `${result.close ? "🟨 Close" : "❌ Wrong"} — ${answer}`}
+            <AnswerDiff ops={result.ops} />
+          </div>
+          <table className="statsTable conjugationTable">
+            <tbody>
+              {table.map((f) => (
+                <tr key={f.id} className={f.id === form.id ? "current" : ""}>
+                  <th>{f.label}</th>
+                  <td>{f.text}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,161 @@
+import { useState } from "react";
+import { DEFAULT_DECK_ID, newDeck, newPreset } from "../lib/decks";
+
+function DeckRow({ deck, count, onRename, onStudy, onImport, onScheduling, onDelete }) {
+  const [confirming, setConfirming] = useState(false);
+  return (
+    <div className="knownRow">
+      <div className="knownMain">
+        <input className="deckName" value={deck.name} onChange={(e) => onRename(e.target.value)} />
+        <div className="knownMeta">{count} cards</div>
+      </div>
+      <div className="topActions">
+        <button className="resetBtn" onClick={onStudy}>Study</button>
+        <button className="resetBtn" onClick={onScheduling}>Scheduling</button>
+        <label className="resetBtn">
+          Import CSV
+          <input type="file" accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values" hidden onChange={onImport} />
+        </label>
+        {deck.id !== DEFAULT_DECK_ID &&
+          (confirming ? (
+            <>
+              <button className="resetBtn" onClick={onDelete}>Delete {count} cards</button>
+              <button className="resetBtn" onClick={() => setConfirming(false)}>Keep</button>
+            </>
+          ) : (
+            <button className="resetBtn" onClick={() => setConfirming(true)}>Delete</button>
+          ))}
+      </div>
+    </div>
+  );
+}
+
+// Managing decks, tags and saved filter presets.
+export default function DecksDialog({
+  decks,
+  counts,
+  tags,
+  presets,
+  filter,
+  onChangeDecks,
+  onDeleteDeck,
+  onImportCsv,
+  onStudyDeck,
+  onSchedulingDeck,
+  onChangePresets,
+  onApplyPreset,
+  onClose,
+}) {
+  const [deckName, setDeckName] = useState("");
+  const [presetName, setPresetName] = useState("");
+
+  function addDeck(e) {
+    e.preventDefault();
+    if (!deckName.trim()) return;
+    onChangeDecks([...decks, newDeck(deckName)]);
+    setDeckName("");
+  }
+
+  function savePreset(e) {
+    e.preventDefault();
+    if (!presetName.trim()) return;
+    onChangePresets([...presets, newPreset(presetName, filter)]);
+    setPresetName("");
+  }
+
+  function describe(p) {
+    const deck = decks.find((d) => d.id === p.deck)?.name;
+    return [
+      deck && `deck ${deck}`,
+      p.tag !== "all" && `#${p.tag}`,
+      p.level !== "all" && `등급 ${p.level}`,
+      p.pos !== "all" && `품사 ${p.pos}`,
+      p.state !== "all" && p.state,
+    ]
+      .filter(Boolean)
+      .join(" · ") || "everything";
+  }
+
+  return (
+    <div className="modalBackdrop" onClick={onClose}>
+      <div className="modal" onClick={(e) => e.stopPropagation()}>
+        <h2>Decks &amp; presets</h2>
+
+        <div className="settingsSection">
+          <div className="examplesTitle">Decks</div>
+          <div className="deckList">
+            {decks.map((d) => (
+              <DeckRow
+                key={d.id}
+                deck={d}
+                count={counts.get(d.id) ?? 0}
+                onRename={(name) => onChangeDecks(decks.map((x) => (x.id === d.id ? { ...x, name } : x)))}
+                onStudy={() => onStudyDeck(d.id)}
+                onImport={(e) => onImportCsv(e, d.id)}
+                onScheduling={() => onSchedulingDeck(d.id)}
+                onDelete={() => onDeleteDeck(d.id)}
+              />
+            ))}
+          </div>
+          <form className="typingForm" onSubmit={addDeck}>
+            <input
+              className="typingInput"
+              value={deckName}
+              onChange={(e) => setDeckName(e.target.value)}
+              placeholder="New deck name (e.g. 서울대 2A 5과)"
+            />
+            <button className="miniBtn" type="submit">Add deck</button>
+          </form>
+        </div>
+
+        <div className="settingsSection">
+          <div className="examplesTitle">Filter presets</div>
+          {presets.length ? (
+            <div className="deckList">
+              {presets.map((p) => (
+                <div key={p.id} className="knownRow">
+                  <div className="knownMain">
+                    <div className="knownWord">{p.name}</div>
+                    <div className="knownMeta">{describe(p)}</div>
+                  </div>
+                  <div className="topActions">
+                    <button className="resetBtn" onClick={() => onApplyPreset(p)}>Use</button>
+                    <button className="resetBtn" onClick={() => onChangePresets(presets.filter((x) => x.id !== p.id))}>
+                      Delete
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <p className="muted">No presets yet. Set the filters, then save them here under a name.</p>
+          )}
+          <form className="typingForm" onSubmit={savePreset}>
+            <input
+              className="typingInput"
+              value={presetName}
+              onChange={(e) => setPresetName(e.target.value)}
+              placeholder={`Save current filters (${describe(filter)}) as…`}
+            />
+            <button className="miniBtn" type="submit">Save preset</button>
+          </form>
+        </div>
+
+        {tags.length > 0 && (
+          <div className="settingsSection">
+            <div className="examplesTitle">Tags</div>
+            <div className="tagCloud">
+              {tags.map((t) => (
+                <span key={t.tag} className="pill">#{t.tag} <span className="muted">{t.count}</span></span>
+              ))}
+            </div>
+          </div>
+        )}
+
+        <div className="modalActions">
+          <button className="miniBtn" onClick={onClose}>Close</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,130 @@
+import { useEffect, useMemo, useState } from "react";
+import { DAY, startOfDay } from "../lib/dates";
+import {
+  FORECAST_DAYS,
+  MAX_FORECAST_DAYS,
+  dueForecast,
+  reviewPace,
+  simulateWorkload,
+} from "../lib/forecast";
+
+// The simulation replays every card for every day, so it waits until the
+// inputs stop changing, then runs in slices; a run started for older inputs is
+// cancelled.
+const SIM_DELAY_MS = 300;
+
+function dayLabel(key) {
+  return new Date(`${key}T12:00:00`).toLocaleDateString(undefined, { weekday: "short", month: "short", day: "numeric" });
+}
+
+// Days from today through `date` (a yyyy-mm-dd input value), within limits.
+function daysUntil(date, now) {
+  if (!date) return FORECAST_DAYS;
+  const days = Math.round((startOfDay(new Date(`${date}T12:00:00`).getTime()) - startOfDay(now)) / DAY) + 1;
+  return Math.min(MAX_FORECAST_DAYS, Math.max(1, days));
+}
+
+// Reviews coming up from the cards' due dates, and what the days ahead look
+// like when a given number of new cards is started each day. `cards` are the
+// cards in the active deck or preset.
+export default function Forecast({ cards, reviewLog, schedulerFor, newPerDay }) {
+  const [now] = useState(() => Date.now());
+  const [perDay, setPerDay] = useState(newPerDay);
+  const [examDate, setExamDate] = useState("");
+
+  const forecast = useMemo(() => dueForecast(cards, { now }), [cards, now]);
+  const pace = useMemo(() => reviewPace(reviewLog, now), [reviewLog, now]);
+  const days = daysUntil(examDate, now);
+  const [sim, setSim] = useState(null);
+
+  useEffect(() => {
+    const token = { cancelled: false };
+    const timer = setTimeout(async () => {
+      const result = await simulateWorkload(cards, { newPerDay: perDay, days, recall: pace.recall, schedulerFor, now, token });
+      if (!token.cancelled) setSim(result);
+    }, SIM_DELAY_MS);
+    return () => {
+      token.cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [cards, perDay, days, pace, schedulerFor, now]);
+
+  const week = forecast.days.slice(0, 7).reduce((n, d) => n + d.due, 0);
+  const maxDue = Math.max(1, ...forecast.days.map((d) => d.due));
+  const loads = sim ? sim.days.map((d) => d.reviews + d.fresh) : [];
+  const maxLoad = Math.max(1, ...loads);
+  const peak = sim?.days[loads.indexOf(Math.max(...loads))];
+  const average = loads.reduce((a, b) => a + b, 0) / (loads.length || 1);
+  const minutes = Math.round((average * pace.seconds) / 60);
+  const simDays = sim?.days.length ?? days;
+
+  return (
+    <>
+      <div className="statsBlock">
+        <div className="examplesTitle">Due in the next {FORECAST_DAYS} days</div>
+        <div className="previewGrid">
+          <div className="previewStat"><b>{forecast.days[0].due}</b> today</div>
+          <div className="previewStat"><b>{forecast.days[1].due}</b> tomorrow</div>
+          <div className="previewStat"><b>{week}</b> this week</div>
+          {forecast.overdue > 0 && <div className="previewStat"><b>{forecast.overdue}</b> overdue</div>}
+        </div>
+        <div className="barChart">
+          {forecast.days.map((d) => (
+            <div key={d.key} className="barCol" title={`${dayLabel(d.key)}: ${d.due} due`}>
+              <div className="bar" style={{ height: `${(d.due / maxDue) * 100}%` }} />
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="statsBlock">
+        <div className="examplesTitle">Workload simulator</div>
+        <div className="fieldGrid">
+          <label className="field">
+            <span>New cards per day</span>
+            <input
+              type="number"
+              min={0}
+              max={500}
+              value={perDay}
+              onChange={(e) => setPerDay(Math.min(500, Math.max(0, Math.round(Number(e.target.value) || 0))))}
+            />
+          </label>
+          <label className="field">
+            <span>Exam date (optional)</span>
+            <input type="date" value={examDate} onChange={(e) => setExamDate(e.target.value)} />
+          </label>
+        </div>
+        {!sim ? (
+          <p className="muted">Working out the workload…</p>
+        ) : (
+          <>
+            <div className={`barChart${simDays > 60 ? " dense" : ""}`}>
+              {sim.days.map((d) => (
+                <div
+                  key={d.key}
+                  className="barCol stacked"
+                  title={`${dayLabel(d.key)}: ${Math.round(d.reviews)} reviews + ${Math.round(d.fresh)} new`}
+                >
+                  <div className="bar fresh" style={{ height: `${(d.fresh / maxLoad) * 100}%` }} />
+                  <div className="bar" style={{ height: `${(d.reviews / maxLoad) * 100}%` }} />
+                </div>
+              ))}
+            </div>
+            <p>
+              Over the next {simDays} {simDays === 1 ? "day" : "days"}: about <b>{Math.round(average)}</b> cards a
+              day (≈ {minutes} min), peaking at <b>{Math.round(peak.reviews + peak.fresh)}</b> on {dayLabel(peak.key)}.{" "}
+              {sim.introduced} new words started
+              {sim.unseen > sim.introduced ? `, ${sim.unseen - sim.introduced} still unseen` : ", every word seen"}
+              {examDate ? " by the exam." : "."}
+            </p>
+          </>
+        )}
+        <p className="muted">
+          Assumes {Math.round(pace.recall * 100)}% of reviews are answered right
+          {pace.fromLog ? " (your last 30 days)" : ""} and no daily review cap.
+        </p>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,50 @@
+import { useState } from "react";
+import { englishOf } from "../lib/cards";
+import { DAY } from "../lib/dates";
+import { familyProgress } from "../lib/hanja";
+
+function progressOf(card, now) {
+  if (card.suspended) return { cls: "", text: "suspended" };
+  if (!card.state || card.state === "new") return { cls: "countNew", text: "new" };
+  const days = Math.round(((card.due ?? now) - now) / DAY);
+  const due = days <= 0 ? "due" : `due in ${days}d`;
+  if (card.state === "learning") return { cls: "countLearning", text: `learning · ${due}` };
+  return { cls: "countReview", text: `known · ${card.intervalDays}d · ${due}` };
+}
+
+// Every word sharing one hanja, with how far along each one is.
+export default function HanjaFamily({ char, words, onStudy, onClose }) {
+  const [now] = useState(() => Date.now());
+  const { known, total } = familyProgress(words);
+
+  return (
+    <div className="modalBackdrop" onClick={onClose}>
+      <div className="modal" onClick={(e) => e.stopPropagation()}>
+        <h2 className="hanjaTitle">{char}</h2>
+        <p className="modalSub">
+          {total} words · {known} known
+        </p>
+
+        <div className="previewList familyList">
+          <ul>
+            {words.map((c) => {
+              const p = progressOf(c, now);
+              return (
+                <li key={c.id}>
+                  <b>{c.word}</b> <span className="muted">{c.hanja}</span>
+                  {englishOf(c) && ` — ${englishOf(c)}`}{" "}
+                  <span className={p.cls}>({p.text})</span>
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+
+        <div className="modalActions">
+          <button className="miniBtn" onClick={onClose}>Close</button>
+          <button className="miniBtn primary" onClick={onStudy} disabled={!total}>Study this family</button>
+        </div>
+      </div>
+    </div>
+  );
+}
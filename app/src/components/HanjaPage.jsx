@@ -0,0 +1,51 @@
+import { useMemo, useState } from "react";
+import { familyProgress } from "../lib/hanja";
+
+const SORTS = [
+  { id: "size", label: "Most words" },
+  { id: "progress", label: "Least known" },
+];
+
+// All hanja in the deck, biggest families first. Picking one opens its family.
+export default function HanjaPage({ index, onPick }) {
+  const [query, setQuery] = useState("");
+  const [sort, setSort] = useState("size");
+
+  const families = useMemo(() => {
+    const q = query.trim();
+    const rows = [...index.entries()]
+      .filter(([ch, words]) => !q || q.includes(ch) || words.some((c) => c.word.includes(q)))
+      .map(([ch, words]) => ({ ch, ...familyProgress(words) }));
+    if (sort === "progress") return rows.sort((a, b) => a.known / a.total - b.known / b.total || b.total - a.total);
+    return rows.sort((a, b) => b.total - a.total);
+  }, [index, query, sort]);
+
+  return (
+    <div className="knownPage">
+      <div className="knownHeader">
+        <h2>Hanja</h2>
+        <input
+          className="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Hanja or word…"
+        />
+        <select value={sort} onChange={(e) => setSort(e.target.value)}>
+          {SORTS.map((s) => (
+            <option key={s.id} value={s.id}>{s.label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="hanjaGrid">
+        {families.map((f) => (
+          <button key={f.ch} className="hanjaChip" onClick={() => onPick(f.ch)} title={`${f.known}/${f.total} known`}>
+            <span className="hanjaChipChar">{f.ch}</span>
+            <span className="hanjaChipCount">{f.known}/{f.total}</span>
+          </button>
+        ))}
+        {!families.length && <p>No hanja found.</p>}
+      </div>
+    </div>
+  );
+}
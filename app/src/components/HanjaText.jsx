@@ -0,0 +1,26 @@
+import { isHanja } from "../lib/cards";
+
+// A 풀이 string with each hanja clickable.
+export default function HanjaText({ text, onPick }) {
+  return (
+    <span className="hanjaText">
+      {[...text].map((ch, i) =>
+        isHanja(ch) ? (
+          <button
+            key={i}
+            className="hanjaChar"
+            title="Words with this hanja"
+            onClick={(e) => {
+              e.stopPropagation();
+              onPick(ch);
+            }}
+          >
+            {ch}
+          </button>
+        ) : (
+          <span key={i}>{ch}</span>
+        )
+      )}
+    </span>
+  );
+}
@@ -0,0 +1,51 @@
+// `partial` imports (Anki/Quizlet decks) only cover some words, so replacing
+// the deck with them isn't offered. `replaceDeletes` is how many cards
+// "Replace all" would delete.
+export default function ImportPreview({ fileName, plan, partial = false, replaceDeletes = 0, onMerge, onReplace, onCancel }) {
+  const { added, updated, removed, conflicts, unchanged } = plan;
+
+  return (
+    <div className="modalBackdrop" onClick={onCancel}>
+      <div className="modal" onClick={(e) => e.stopPropagation()}>
+        <h2>Import preview</h2>
+        <p className="modalSub">{fileName}</p>
+
+        <div className="previewGrid">
+          <div className="previewStat good"><b>{added.length}</b> added</div>
+          <div className="previewStat"><b>{updated.length}</b> updated</div>
+          <div className="previewStat danger"><b>{removed.length}</b> removed</div>
+          <div className="previewStat warn"><b>{conflicts.length}</b> conflicts</div>
+        </div>
+
+        <p>
+          {unchanged} cards unchanged. Merging keeps ease, interval, due date and lapses for every matched card.
+          Removed cards stay in your deck, flagged and hidden from study.
+        </p>
+
+        {conflicts.length > 0 && (
+          <div className="previewList">
+            <div className="examplesTitle">Conflicts (skipped)</div>
+            <ul>
+              {conflicts.slice(0, 20).map((x, i) => (
+                <li key={i}>
+                  {x.row.rawWord} <span className="muted">— {x.reason}</span>
+                </li>
+              ))}
+              {conflicts.length > 20 && <li className="muted">…and {conflicts.length - 20} more</li>}
+            </ul>
+          </div>
+        )}
+
+        <div className="modalActions">
+          <button className="miniBtn" onClick={onCancel}>Cancel</button>
+          {!partial && (
+            <button className="resetBtn" onClick={onReplace}>
+              Replace all (wipes progress{replaceDeletes ? `, deletes ${replaceDeletes} cards not in the file` : ""})
+            </button>
+          )}
+          <button className="miniBtn primary" onClick={onMerge}>Merge</button>
+        </div>
+      </div>
+    </div>
+  );
+}
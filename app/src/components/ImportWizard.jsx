@@ -0,0 +1,152 @@
+import { useMemo, useState } from "react";
+import { IMPORT_FIELDS, DELIMITERS, parseTable, guessMapping, buildImport } from "../lib/importer";
+
+function lines(list) {
+  return list.slice(0, 8).join(", ") + (list.length > 8 ? ` … (+${list.length - 8})` : "");
+}
+
+function ReportRow({ label, count, detail, level = "warn" }) {
+  if (!count) return null;
+  return (
+    <li className={`reportRow ${level}`}>
+      <b>{count}</b> {label}
+      {detail && <span className="muted"> — {detail}</span>}
+    </li>
+  );
+}
+
+// Map the columns of any CSV/TSV onto card fields and review what will be
+// imported before anything is committed.
+export default function ImportWizard({ fileName, text, encoding, onConfirm, onCancel }) {
+  const [delimiter, setDelimiter] = useState("");
+  const [hasHeader, setHasHeader] = useState(true);
+  const [skipWarnings, setSkipWarnings] = useState(false);
+  const [step, setStep] = useState("map"); // map | report
+
+  const table = useMemo(() => parseTable(text, { delimiter, hasHeader }), [text, delimiter, hasHeader]);
+  const [mapping, setMapping] = useState(() => guessMapping(parseTable(text).headers));
+  const [mappedByHand, setMappedByHand] = useState(false);
+
+  // A new separator or header setting changes the columns, so the guessed
+  // mapping is redone; one the user picked by hand is kept.
+  function reparse(next) {
+    if (next.delimiter !== undefined) setDelimiter(next.delimiter);
+    if (next.hasHeader !== undefined) setHasHeader(next.hasHeader);
+    if (!mappedByHand) setMapping(guessMapping(parseTable(text, { delimiter, hasHeader, ...next }).headers));
+  }
+
+  const result = useMemo(
+    () => (step === "report" ? buildImport(table.rows, mapping, { skipWarnings }) : null),
+    [step, table, mapping, skipWarnings]
+  );
+
+  const detected = DELIMITERS.find((d) => d.id === table.delimiter)?.label ?? JSON.stringify(table.delimiter);
+
+  return (
+    <div className="modalBackdrop" onClick={onCancel}>
+      <div className="modal wide" onClick={(e) => e.stopPropagation()}>
+        <h2>Import {step === "map" ? "— map columns" : "— validation report"}</h2>
+        <p className="modalSub">
+          {fileName} · {encoding} · {detected} separated · {table.rows.length} rows
+        </p>
+
+        {step === "map" ? (
+          <>
+            <div className="fieldGrid">
+              <label className="field">
+                <span>Separator</span>
+                <select value={delimiter} onChange={(e) => reparse({ delimiter: e.target.value })}>
+                  {DELIMITERS.map((d) => <option key={d.label} value={d.id}>{d.label}</option>)}
+                </select>
+              </label>
+              <label className="toggle">
+                <input
+                  type="checkbox"
+                  checked={hasHeader}
+                  onChange={(e) => reparse({ hasHeader: e.target.checked })}
+                />
+                First row is a header
+              </label>
+            </div>
+
+            <div className="fieldGrid">
+              {IMPORT_FIELDS.map((f) => (
+                <label key={f.id} className="field">
+                  <span>{f.label}{f.required ? " *" : ""}</span>
+                  <select
+                    value={mapping[f.id] ?? -1}
+                    onChange={(e) => {
+                      setMappedByHand(true);
+                      setMapping((m) => ({ ...m, [f.id]: Number(e.target.value) }));
+                    }}
+                  >
+                    <option value={-1}>— none —</option>
+                    {table.headers.map((h, i) => <option key={i} value={i}>{h}</option>)}
+                  </select>
+                </label>
+              ))}
+            </div>
+
+            <div className="tableScroll previewTable">
+              <table className="statsTable">
+                <thead>
+                  <tr>{table.headers.map((h, i) => <th key={i}>{h}</th>)}</tr>
+                </thead>
+                <tbody>
+                  {table.rows.slice(0, 5).map((r, i) => (
+                    <tr key={i}>{table.headers.map((_, j) => <td key={j}>{r[j]}</td>)}</tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        ) : (
+          <>
+            <div className="previewGrid">
+              <div className="previewStat"><b>{result.report.total}</b> rows</div>
+              <div className="previewStat good"><b>{result.report.imported}</b> to import</div>
+              <div className="previewStat danger"><b>{result.report.skipped}</b> skipped</div>
+              <div className="previewStat warn">
+                <b>{result.report.unknownPos.size + result.report.invalidLevels.size + (result.report.invalidRanks.length ? 1 : 0)}</b> warning types
+              </div>
+            </div>
+
+            <ul className="report">
+              <ReportRow level="error" label="rows with an empty word (skipped)" count={result.report.emptyWords.length} detail={`rows ${lines(result.report.emptyWords)}`} />
+              <ReportRow level="error" label="duplicate ids (later rows skipped)" count={result.report.duplicateIds.length} detail={lines(result.report.duplicateIds.map((d) => `${d.id} (row ${d.line})`))} />
+              {[...result.report.unknownPos.entries()].map(([code, x]) => (
+                <ReportRow key={code} label={`rows with unknown 품사 "${code}"`} count={x.count} detail={`rows ${lines(x.rows)}`} />
+              ))}
+              {[...result.report.invalidLevels.entries()].map(([lvl, x]) => (
+                <ReportRow key={lvl} label={`rows with invalid level "${lvl}" (expected A/B/C)`} count={x.count} detail={`rows ${lines(x.rows)}`} />
+              ))}
+              <ReportRow label="rows with a non-numeric rank" count={result.report.invalidRanks.length} detail={lines(result.report.invalidRanks.map((r) => `"${r.value}" (row ${r.line})`))} />
+              {!result.report.skipped && !result.report.unknownPos.size && !result.report.invalidLevels.size && !result.report.invalidRanks.length && (
+                <li className="reportRow ok">No problems found.</li>
+              )}
+            </ul>
+
+            <label className="toggle">
+              <input type="checkbox" checked={skipWarnings} onChange={(e) => setSkipWarnings(e.target.checked)} />
+              Skip rows with warnings too
+            </label>
+          </>
+        )}
+
+        <div className="modalActions">
+          <button className="miniBtn" onClick={onCancel}>Cancel</button>
+          {step === "report" && <button className="miniBtn" onClick={() => setStep("map")}>← Back</button>}
+          {step === "map" ? (
+            <button className="miniBtn primary" disabled={mapping.word < 0} onClick={() => setStep("report")}>
+              Validate →
+            </button>
+          ) : (
+            <button className="miniBtn primary" disabled={!result.cards.length} onClick={() => onConfirm(result.cards)}>
+              Import {result.cards.length} cards
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,32 @@
+import { useEffect, useState } from "react";
+
+// Shown only while the browser offers to install the app (Chrome/Edge/Android).
+export default function InstallButton() {
+  const [promptEvent, setPromptEvent] = useState(null);
+
+  useEffect(() => {
+    function onBeforeInstall(e) {
+      e.preventDefault();
+      setPromptEvent(e);
+    }
+    function onInstalled() {
+      setPromptEvent(null);
+    }
+    window.addEventListener("beforeinstallprompt", onBeforeInstall);
+    window.addEventListener("appinstalled", onInstalled);
+    return () => {
+      window.removeEventListener("beforeinstallprompt", onBeforeInstall);
+      window.removeEventListener("appinstalled", onInstalled);
+    };
+  }, []);
+
+  if (!promptEvent) return null;
+
+  async function install() {
+    promptEvent.prompt();
+    await promptEvent.userChoice;
+    setPromptEvent(null);
+  }
+
+  return <button className="import" onClick={install}>Install App</button>;
+}
@@ -0,0 +1,99 @@
+import { useState } from "react";
+import { decodeFile } from "../lib/importer";
+import { downloadFile } from "../lib/download";
+import { exportAnkiTsv } from "../lib/interop";
+
+const FORMATS = [
+  { id: "", label: "Auto-detect" },
+  { id: "anki", label: "Anki notes (plain text)" },
+  { id: "quizlet", label: "Quizlet export" },
+];
+
+function stamp() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+// Moving decks to and from Anki and Quizlet. Exports carry scheduling; imports
+// are merged into the current deck through the usual preview.
+export default function InteropDialog({ cards, onImport, onClose }) {
+  const [format, setFormat] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const live = cards.filter((c) => !c.removed);
+
+  function exportTsv() {
+    downloadFile(`topik-anki-${stamp()}.txt`, exportAnkiTsv(live), "text/tab-separated-values;charset=utf-8");
+  }
+
+  async function exportApkg() {
+    setBusy(true);
+    setError(null);
+    try {
+      const { buildApkg } = await import("../lib/apkg");
+      const bytes = await buildApkg(live);
+      downloadFile(`topik-${stamp()}.apkg`, new Blob([bytes], { type: "application/octet-stream" }));
+    } catch (err) {
+      setError(`Could not build the Anki package: ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function openFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    const { text } = await decodeFile(file);
+    onImport({ fileName: file.name, text, format });
+  }
+
+  return (
+    <div className="modalBackdrop" onClick={onClose}>
+      <div className="modal" onClick={(e) => e.stopPropagation()}>
+        <h2>Anki &amp; Quizlet</h2>
+
+        <div className="settingsSection">
+          <div className="examplesTitle">Export {live.length} cards</div>
+          <p className="muted">
+            The notes file imports into Anki as new cards (Anki can't read intervals from text, so they ride along as
+            fields). The .apkg package keeps ease, interval and due date.
+          </p>
+          <div className="modalActions" style={{ justifyContent: "flex-start" }}>
+            <button className="miniBtn" onClick={exportTsv} disabled={!live.length}>Anki notes (.txt)</button>
+            <button className="miniBtn" onClick={exportApkg} disabled={!live.length || busy}>
+              {busy ? "Building…" : "Anki package (.apkg)"}
+            </button>
+          </div>
+        </div>
+
+        <div className="settingsSection">
+          <div className="examplesTitle">Import</div>
+          <p className="muted">
+            Anki: Browse → Export Notes → “Notes in Plain Text”. Quizlet: Export, with tab between term and definition.
+            Words already in your deck keep their progress; new ones are added.
+          </p>
+          <div className="fieldGrid">
+            <label className="field">
+              <span>Format</span>
+              <select value={format} onChange={(e) => setFormat(e.target.value)}>
+                {FORMATS.map((f) => <option key={f.id} value={f.id}>{f.label}</option>)}
+              </select>
+            </label>
+          </div>
+          <div className="modalActions" style={{ justifyContent: "flex-start" }}>
+            <label className="miniBtn">
+              Choose file…
+              <input type="file" accept=".txt,.tsv,.csv,text/plain,text/tab-separated-values" hidden onChange={openFile} />
+            </label>
+          </div>
+        </div>
+
+        {error && <div className="typingResult bad">{error}</div>}
+
+        <div className="modalActions">
+          <button className="miniBtn" onClick={onClose}>Close</button>
+        </div>
+      </div>
+    </div>
+  );
+}
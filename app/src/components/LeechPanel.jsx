@@ -0,0 +1,54 @@
+import { useMemo } from "react";
+import { englishOf, fieldOf } from "../lib/cards";
+import { hanjaFamily } from "../lib/hanja";
+import { similarLooking } from "../lib/leeches";
+
+function WordList({ title, items }) {
+  if (!items.length) return null;
+  return (
+    <div className="examples">
+      <div className="examplesTitle">{title}</div>
+      <ul>
+        {items.map(({ card, extra }) => (
+          <li key={card.id}>
+            <b>{card.word}</b>
+            {extra && <span className="muted"> {extra}</span>}
+            {englishOf(card) && ` — ${englishOf(card)}`}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+// Extra context for a leech after it's answered: words sharing its hanja and
+// words that look like it, which are usually what it gets confused with.
+export default function LeechPanel({ card, cards, onRelease, onEdit }) {
+  const family = useMemo(() => hanjaFamily(card, cards, 6), [card, cards]);
+  const similar = useMemo(() => similarLooking(card, cards, 5), [card, cards]);
+  const hasNotes = fieldOf(card, "note") || fieldOf(card, "mnemonic");
+
+  return (
+    <div className="leechPanel">
+      <div className="leechHeader">
+        <span>
+          🩸 Leech · <b>{card.lapses ?? 0}</b> lapses{card.suspended && " · suspended from reviews"}
+        </span>
+        <button className="miniBtn" onClick={onRelease}>Release</button>
+      </div>
+
+      <WordList
+        title="Hanja family"
+        items={family.map((x) => ({ card: x.card, extra: `${x.card.hanja} (${x.shared.join("")})` }))}
+      />
+      <WordList title="Looks like" items={similar.map((c) => ({ card: c, extra: c.hanja }))} />
+
+      {!hasNotes && (
+        <p className="muted">
+          No note yet. <button className="linkBtn" onClick={onEdit}>Add a mnemonic</button> — it shows on the back
+          of the card.
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,363 @@
+import { useEffect, useMemo, useState } from "react";
+import { POS_LABELS, meaningOf } from "../lib/cards";
+import { checkAnswer } from "../lib/hangul";
+import { conjugations } from "../lib/conjugate";
+import { wrongSenseNumber } from "../lib/homographs";
+import { formatClock } from "../lib/dates";
+import { buildChoices } from "../lib/distractors";
+import {
+  TEST_TARGETS,
+  TEST_FORMATS,
+  TEST_SIZES,
+  testPool,
+  sampleTest,
+  scoreTest,
+  estimateCoverage,
+  historyEntry,
+} from "../lib/mockTest";
+import ChoiceQuiz from "./ChoiceQuiz";
+
+const PACES = [10, 15, 20, 30]; // seconds per question
+
+function pct(n, d) {
+  return d ? Math.round((n / d) * 100) : 0;
+}
+
+function ScoreTable({ title, rows, label }) {
+  return (
+    <div className="statsBlock">
+      <div className="examplesTitle">{title}</div>
+      <div className="tableScroll">
+        <table className="statsTable">
+          <tbody>
+            {rows.map((r) => (
+              <tr key={r.group}>
+                <th>{label(r.group)}</th>
+                <td>{r.correct}/{r.total}</td>
+                <td><b>{pct(r.correct, r.total)}%</b></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+function History({ history }) {
+  if (!history.length) return null;
+  return (
+    <div className="statsBlock">
+      <div className="examplesTitle">Past tests</div>
+      <div className="tableScroll">
+        <table className="statsTable">
+          <thead>
+            <tr>
+              <th>Date</th>
+              <th>Test</th>
+              <th>Score</th>
+              <th>A</th>
+              <th>B</th>
+              <th>C</th>
+              <th>Time</th>
+            </tr>
+          </thead>
+          <tbody>
+            {[...history].reverse().slice(0, 20).map((h) => (
+              <tr key={h.takenAt}>
+                <th>{new Date(h.takenAt).toLocaleDateString()}</th>
+                <td>
+                  {TEST_TARGETS.find((t) => t.id === h.target)?.label ?? h.target} · {h.format === "typed" ? "typed" : "choice"}
+                </td>
+                <td><b>{pct(h.correct, h.total)}%</b> ({h.correct}/{h.total})</td>
+                {["A", "B", "C"].map((l) => (
+                  <td key={l}>{h.byLevel[l] ? `${pct(h.byLevel[l].correct, h.byLevel[l].total)}%` : "·"}</td>
+                ))}
+                <td>{formatClock(h.durationMs)}{h.timedOut && " ⏱"}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+function TypedQuestion({ card, onAnswer }) {
+  const [typed, setTyped] = useState("");
+
+  function submit(e) {
+    e.preventDefault();
+    if (!typed.trim()) return;
+    const r = checkAnswer(typed, card.word, { forms: conjugations(card.word).map((f) => f.text) });
+    // Only the exact word scores; a slip or another form is noted in the report.
+    const wrongSense = wrongSenseNumber(typed, card);
+    onAnswer({ correct: !wrongSense && r.ok, almost: !wrongSense && (r.close || r.conjugated), text: typed.trim() });
+  }
+
+  return (
+    <div className="card choiceCard">
+      <div className="choicePrompt">
+        <div className="muted">Type the Korean word</div>
+        <div className="choicePromptText">{meaningOf(card)}</div>
+      </div>
+      <form onSubmit={submit} className="typingForm">
+        <input
+          className="typingInput"
+          value={typed}
+          onChange={(e) => setTyped(e.target.value)}
+          placeholder="Type the Korean word…"
+          autoComplete="off"
+          autoFocus
+        />
+        <button className="miniBtn primary" type="submit">Next (Enter)</button>
+      </form>
+    </div>
+  );
+}
+
+function Setup({ pool, history, onStart }) {
+  const [size, setSize] = useState(40);
+  const [target, setTarget] = useState(TEST_TARGETS[0].id);
+  const [format, setFormat] = useState("choice");
+  const [pace, setPace] = useState(15);
+
+  return (
+    <>
+      <div className="statsBlock settingsSection">
+        <p className="muted">
+          A timed sample of {pool.length} words, spread over levels and 품사 like the exam. Answers are only scored here;
+          your cards' schedules are not changed.
+        </p>
+        <div className="fieldGrid">
+          <label className="field">
+            <span>Questions</span>
+            <select value={size} onChange={(e) => setSize(Number(e.target.value))}>
+              {TEST_SIZES.map((n) => <option key={n} value={n}>{n}</option>)}
+            </select>
+          </label>
+          <label className="field">
+            <span>Target</span>
+            <select value={target} onChange={(e) => setTarget(e.target.value)}>
+              {TEST_TARGETS.map((t) => <option key={t.id} value={t.id}>{t.label}</option>)}
+            </select>
+          </label>
+          <label className="field">
+            <span>Answers</span>
+            <select value={format} onChange={(e) => setFormat(e.target.value)}>
+              {TEST_FORMATS.map((f) => <option key={f.id} value={f.id}>{f.label}</option>)}
+            </select>
+          </label>
+          <label className="field">
+            <span>Time per question</span>
+            <select value={pace} onChange={(e) => setPace(Number(e.target.value))}>
+              {PACES.map((s) => <option key={s} value={s}>{s} s</option>)}
+            </select>
+          </label>
+        </div>
+        <div className="modalActions" style={{ justifyContent: "flex-start" }}>
+          <button
+            className="miniBtn primary"
+            disabled={!pool.length}
+            onClick={() => onStart({ size, target: TEST_TARGETS.find((t) => t.id === target), format, pace })}
+          >
+            Start test ({formatClock(Math.min(size, pool.length) * pace * 1000)})
+          </button>
+        </div>
+      </div>
+      <History history={history} />
+    </>
+  );
+}
+
+function Report({ report, pool, history, onAddToDue, onRestart }) {
+  const [added, setAdded] = useState(false);
+  const { score } = report;
+  const coverage = useMemo(() => estimateCoverage(score.byLevel, pool), [score, pool]);
+
+  return (
+    <>
+      <div className="previewGrid">
+        <div className="previewStat"><b>{pct(score.correct, score.total)}%</b> score</div>
+        <div className="previewStat"><b>{score.correct}/{score.total}</b> correct</div>
+        <div className="previewStat"><b>{formatClock(report.durationMs)}</b> {report.timedOut ? "time ran out" : "time used"}</div>
+        <div className="previewStat"><b>{score.missed.length}</b> missed</div>
+      </div>
+
+      <div className="statsBlock">
+        <div className="examplesTitle">Estimated coverage</div>
+        <ul className="coverageList">
+          {coverage.map((c) => (
+            <li key={c.level}>
+              <b>Level {c.level}</b>: about {Math.round(c.pct * 100)}%{" "}
+              <span className="muted">
+                ({Math.round(c.low * 100)}–{Math.round(c.high * 100)}%, from {c.asked} questions)
+              </span>{" "}
+              ≈ {c.words} of {c.size} words
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      <div className="mockTables">
+        <ScoreTable title="By level" rows={score.byLevel} label={(l) => `Level ${l}`} />
+        <ScoreTable title="By 품사" rows={score.byPos} label={(p) => `${p} ${POS_LABELS[p]?.en ?? ""}`} />
+      </div>
+
+      {score.missed.length > 0 && (
+        <div className="statsBlock">
+          <div className="leechHeader">
+            <div className="examplesTitle">Missed words</div>
+            <button
+              className="miniBtn primary"
+              disabled={added}
+              onClick={() => {
+                onAddToDue(score.missed.map((c) => c.id));
+                setAdded(true);
+              }}
+            >
+              {added ? "Added to Due ✓" : `Add ${score.missed.length} to Due`}
+            </button>
+          </div>
+          <ul className="senseList">
+            {report.answers
+              .filter((a) => !a.correct)
+              .map((a) => (
+                <li key={a.card.id}>
+                  <b>{a.card.word}</b> — {meaningOf(a.card)}{" "}
+                  <span className="muted">
+                    {a.card.level} · {a.card.pos || "?"} · {a.given ? `you answered “${a.given}”${a.almost ? " (almost)" : ""}` : "no answer"}
+                  </span>
+                </li>
+              ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="modalActions" style={{ justifyContent: "flex-start" }}>
+        <button className="miniBtn primary" onClick={onRestart}>New test</button>
+      </div>
+
+      <History history={history} />
+    </>
+  );
+}
+
+// Mock TOPIK vocabulary test: setup → timed questions → report. Nothing here
+// grades cards; the only write is the optional "add missed words to Due".
+export default function MockTest({ cards, history, onFinish, onAddToDue }) {
+  const pool = useMemo(() => testPool(cards), [cards]);
+  const [test, setTest] = useState(null); // { questions, target, format, startedAt, limitMs }
+  const [given, setGiven] = useState([]);
+  const [report, setReport] = useState(null);
+  const [now, setNow] = useState(() => Date.now());
+
+  const index = given.length;
+  const question = test?.questions[index] ?? null;
+  const remaining = test ? test.limitMs - (now - test.startedAt) : 0;
+
+  function start({ size, target, format, pace }) {
+    const startedAt = Date.now();
+    const sample = sampleTest(pool, { size, target, seed: startedAt });
+    const questions = sample.map((card) => ({
+      card,
+      choices: format === "choice" ? buildChoices(card, cards, { optionText: meaningOf, seed: startedAt }) : null,
+    }));
+    setTest({ questions, target, format, startedAt, limitMs: questions.length * pace * 1000 });
+    setGiven([]);
+    setReport(null);
+    setNow(startedAt);
+  }
+
+  function finish(answered, timedOut) {
+    const endedAt = Date.now();
+    const answers = test.questions.map((q, i) => ({
+      card: q.card,
+      correct: answered[i]?.correct ?? false,
+      given: answered[i]?.text ?? null,
+      almost: answered[i]?.almost ?? false,
+    }));
+    const score = scoreTest(answers);
+    const durationMs = Math.min(endedAt - test.startedAt, test.limitMs);
+    onFinish(historyEntry({ score, target: test.target, format: test.format, durationMs, timedOut, now: endedAt }));
+    setReport({ score, answers, durationMs, timedOut });
+    setTest(null);
+  }
+
+  function answer(a) {
+    const next = [...given, a];
+    setGiven(next);
+    if (next.length >= test.questions.length) finish(next, false);
+  }
+
+  useEffect(() => {
+    if (!test) return;
+    const timer = setInterval(() => {
+      const t = Date.now();
+      setNow(t);
+      if (t - test.startedAt >= test.limitMs) finish(given, true);
+    }, 250);
+    return () => clearInterval(timer);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [test, given]);
+
+  useEffect(() => {
+    if (!question?.choices) return;
+    function onKeyDown(e) {
+      if (!/^[1-4]$/.test(e.key)) return;
+      const opt = question.choices[Number(e.key) - 1];
+      if (opt) answer({ correct: opt.correct, text: opt.text });
+    }
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [question, given]);
+
+  return (
+    <div className="statsPage">
+      <div className="knownHeader">
+        <h2>Mock test</h2>
+        {test && (
+          <div className="pillRow">
+            <span className="pill">Question <b>{index + 1}/{test.questions.length}</b></span>
+            <span className={`pill ${remaining < 30000 ? "mockLow" : ""}`}>⏱ <b>{formatClock(remaining)}</b></span>
+            <button className="miniBtn" onClick={() => finish(given, false)}>End test</button>
+          </div>
+        )}
+      </div>
+
+      {test && question ? (
+        <>
+          {test.format === "choice" ? (
+            <ChoiceQuiz
+              key={index}
+              card={question.card}
+              prompt={question.card.word}
+              promptLabel="Pick the meaning"
+              choices={question.choices}
+              result={null}
+              posInfo={POS_LABELS[question.card.pos]}
+              onPick={(opt) => answer({ correct: opt.correct, text: opt.text })}
+              onContinue={() => {}}
+            />
+          ) : (
+            <TypedQuestion key={index} card={question.card} onAnswer={answer} />
+          )}
+          <div className="navRow">
+            <button className="miniBtn" onClick={() => answer({ correct: false, text: null })}>Skip</button>
+          </div>
+        </>
+      ) : report ? (
+        <Report
+          report={report}
+          pool={pool}
+          history={history}
+          onAddToDue={onAddToDue}
+          onRestart={() => setReport(null)}
+        />
+      ) : (
+        <Setup pool={pool} history={history} onStart={start} />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,28 @@
+import { useRegisterSW } from "virtual:pwa-register/react";
+
+// Tells the user when the app is cached for offline use, and when a new
+// build has been downloaded and is waiting for a reload.
+export default function PwaPrompt() {
+  const {
+    offlineReady: [offlineReady, setOfflineReady],
+    needRefresh: [needRefresh, setNeedRefresh],
+    updateServiceWorker,
+  } = useRegisterSW();
+
+  if (!offlineReady && !needRefresh) return null;
+
+  function close() {
+    setOfflineReady(false);
+    setNeedRefresh(false);
+  }
+
+  return (
+    <div className="toast" role="status">
+      <span>{needRefresh ? "A new version is available." : "Ready to work offline."}</span>
+      {needRefresh && (
+        <button className="miniBtn primary" onClick={() => updateServiceWorker(true)}>Reload</button>
+      )}
+      <button className="miniBtn" onClick={close}>{needRefresh ? "Later" : "OK"}</button>
+    </div>
+  );
+}
@@ -0,0 +1,48 @@
+import { useState } from "react";
+
+export default function RestoreDialog({ fileName, backup, error, hasCards, onRestore, onCancel }) {
+  const [snapshotFirst, setSnapshotFirst] = useState(true);
+
+  return (
+    <div className="modalBackdrop" onClick={onCancel}>
+      <div className="modal" onClick={(e) => e.stopPropagation()}>
+        <h2>Restore backup</h2>
+        <p className="modalSub">{fileName}</p>
+
+        {error ? (
+          <div className="typingResult bad">{error}</div>
+        ) : (
+          <>
+            <div className="previewGrid">
+              <div className="previewStat"><b>{backup.cards.length}</b> cards</div>
+              <div className="previewStat"><b>{backup.cards.filter((c) => c.state === "known").length}</b> known</div>
+              <div className="previewStat"><b>{backup.cards.filter((c) => c.state === "learning").length}</b> learning</div>
+              <div className="previewStat"><b>v{backup.schemaVersion}</b> schema</div>
+            </div>
+            <p>
+              {backup.exportedAt
+                ? `Exported ${new Date(backup.exportedAt).toLocaleString()}.`
+                : "Export date unknown (older backup format)."}{" "}
+              Restoring replaces all current cards, progress and filters.
+            </p>
+            {hasCards && (
+              <label className="toggle">
+                <input type="checkbox" checked={snapshotFirst} onChange={(e) => setSnapshotFirst(e.target.checked)} />
+                Save a snapshot of my current progress first
+              </label>
+            )}
+          </>
+        )}
+
+        <div className="modalActions">
+          <button className="miniBtn" onClick={onCancel}>{error ? "Close" : "Cancel"}</button>
+          {!error && (
+            <button className="miniBtn primary" onClick={() => onRestore({ snapshotFirst: hasCards && snapshotFirst })}>
+              Restore
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
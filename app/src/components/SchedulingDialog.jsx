@@ -0,0 +1,133 @@
+import { useState } from "react";
+import { createSm2 } from "../lib/schedulers/sm2";
+import {
+  OPTION_LIMITS,
+  FSRS_OPTIONS,
+  MAX_STEPS,
+  STEP_LIMITS,
+  normalizeOptions,
+  parseSteps,
+  formatSteps,
+} from "../lib/schedulers/options";
+
+const FIELDS = [
+  { id: "graduatingDays", label: "Graduating interval", unit: "days", step: 1 },
+  { id: "secondDays", label: "Second interval", unit: "days", step: 1 },
+  { id: "startEase", label: "Starting ease", step: 0.05 },
+  { id: "minEase", label: "Minimum ease", step: 0.05 },
+  { id: "maxEase", label: "Maximum ease", step: 0.05 },
+  { id: "maxIntervalDays", label: "Maximum interval", unit: "days", step: 1 },
+  { id: "lapsePenalty", label: "Lapse penalty (ease lost on Again)", step: 0.05 },
+  { id: "easyBonus", label: "Easy bonus (ease gained on Known)", step: 0.01 },
+  { id: "fuzzPercent", label: "Interval fuzz", unit: "%", step: 1 },
+];
+
+function formFor(deck) {
+  const o = normalizeOptions(deck?.scheduling);
+  return { ...Object.fromEntries(FIELDS.map((f) => [f.id, String(o[f.id])])), learningSteps: formatSteps(o.learningSteps) };
+}
+
+// Intervals a new card gets when it's always graded Known.
+function knownIntervals(options) {
+  const { review } = createSm2(options);
+  let card = { id: "preview", state: "new" };
+  const out = [];
+  for (let i = 0; i < 6; i++) {
+    card = review(card, "known", 0);
+    out.push(card.intervalDays);
+  }
+  return out;
+}
+
+// Edits a deck's scheduling options. Saving only changes how future grades
+// are scheduled; cards keep their current due dates.
+export default function SchedulingDialog({ decks, deckId, schedulerId, onSave, onClose }) {
+  const [current, setCurrent] = useState(deckId);
+  const [form, setForm] = useState(() => formFor(decks.find((d) => d.id === deckId)));
+  const steps = parseSteps(form.learningSteps);
+  const stepsProblem = !steps
+    ? "Steps are durations such as 1m 10m 1h."
+    : steps.length > MAX_STEPS
+      ? `At most ${MAX_STEPS} steps.`
+      : steps.some((n) => n < STEP_LIMITS[0] || n > STEP_LIMITS[1])
+        ? "Each step is between 1 minute and 7 days."
+        : null;
+  const options = normalizeOptions({
+    ...Object.fromEntries(FIELDS.map((f) => [f.id, form[f.id] === "" ? NaN : form[f.id]])),
+    learningSteps: steps ?? undefined,
+  });
+  const fsrs = schedulerId === "fsrs";
+
+  function pickDeck(id) {
+    setCurrent(id);
+    setForm(formFor(decks.find((d) => d.id === id)));
+  }
+
+  return (
+    <div className="modalBackdrop" onClick={onClose}>
+      <div className="modal" onClick={(e) => e.stopPropagation()}>
+        <h2>Scheduling</h2>
+        <p className="modalSub">
+          <select value={current} onChange={(e) => pickDeck(e.target.value)}>
+            {decks.map((d) => (
+              <option key={d.id} value={d.id}>{d.name}</option>
+            ))}
+          </select>
+        </p>
+
+        <div className="fieldGrid">
+          <label className="field" title="Again goes back to the first step; Learning moves on one, repeating the last">
+            <span>Learning steps</span>
+            <input
+              value={form.learningSteps}
+              placeholder="1m 10m 1h"
+              onChange={(e) => setForm((prev) => ({ ...prev, learningSteps: e.target.value }))}
+            />
+            {stepsProblem && <span className="flag">{stepsProblem}</span>}
+          </label>
+          {FIELDS.map((f) => {
+            const [min, max] = OPTION_LIMITS[f.id];
+            const unused = fsrs && !FSRS_OPTIONS.includes(f.id);
+            return (
+              <label key={f.id} className="field" title={unused ? "FSRS works this out itself" : undefined}>
+                <span>
+                  {f.label}
+                  {f.unit && ` (${f.unit})`}
+                  {unused && <span className="muted"> · SM-2 only</span>}
+                </span>
+                <input
+                  type="number"
+                  min={min}
+                  max={max}
+                  step={f.step}
+                  value={form[f.id]}
+                  disabled={unused}
+                  onChange={(e) => setForm((prev) => ({ ...prev, [f.id]: e.target.value }))}
+                />
+              </label>
+            );
+          })}
+        </div>
+
+        {!fsrs && <p>Known every time, a new card comes back after {knownIntervals(options).join(" → ")} days.</p>}
+        <p className="muted">
+          Changes apply from each card's next review. Due dates and progress are kept; an ease or interval outside the new
+          limits is brought inside them when the card is next graded.
+        </p>
+
+        <div className="modalActions">
+          <button className="miniBtn" onClick={() => setForm(formFor(null))}>Defaults</button>
+          <button className="miniBtn" onClick={onClose}>Cancel</button>
+          {decks.length > 1 && (
+            <button className="miniBtn" disabled={Boolean(stepsProblem)} onClick={() => onSave(decks.map((d) => d.id), options)}>
+              Save for all decks
+            </button>
+          )}
+          <button className="miniBtn primary" disabled={Boolean(stepsProblem)} onClick={() => onSave([current], options)}>
+            Save
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
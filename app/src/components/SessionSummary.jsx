@@ -0,0 +1,58 @@
+import { useState } from "react";
+import { meaningOf } from "../lib/cards";
+import { formatClock, formatUntil } from "../lib/dates";
+import { nextDue } from "../lib/session";
+
+// End-of-session screen. `cards` are the live cards as seen from the session's
+// direction, so "next due" (among the cards studied) reflects the grades just
+// given.
+export default function SessionSummary({ summary, cards, onRestart, onClose }) {
+  const [now] = useState(() => Date.now());
+  const byId = new Map(cards.map((c) => [c.id, c]));
+  const missed = summary.missed.map((id) => byId.get(id)).filter(Boolean);
+  const next = nextDue(summary.reviewed.map((id) => byId.get(id)).filter(Boolean));
+  const accuracy = summary.answers ? Math.round((summary.correct / summary.answers) * 100) : 0;
+
+  return (
+    <div className="statsPage">
+      <h2>Session complete</h2>
+
+      <div className="previewGrid">
+        <div className="previewStat"><b>{accuracy}%</b> accuracy</div>
+        <div className="previewStat"><b>{formatClock(summary.durationMs)}</b> time spent</div>
+        <div className="previewStat"><b>{summary.cards}</b> cards studied</div>
+        <div className="previewStat good"><b>{summary.learned.length}</b> new learned</div>
+      </div>
+
+      <div className="statsBlock">
+        <div className="examplesTitle">Next due</div>
+        {next ? (
+          <p>
+            <b>{next.word}</b> {formatUntil(next.due, now)}{" "}
+            <span className="muted">({new Date(next.due).toLocaleString()})</span>
+          </p>
+        ) : (
+          <p>Nothing scheduled yet.</p>
+        )}
+      </div>
+
+      {missed.length > 0 && (
+        <div className="statsBlock">
+          <div className="examplesTitle">Missed ({missed.length})</div>
+          <ul className="senseList">
+            {missed.map((c) => (
+              <li key={c.id}>
+                <b>{c.word}</b>{meaningOf(c) && ` — ${meaningOf(c)}`} <span className="muted">{c.level || "?"} · {c.pos || "?"}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="modalActions" style={{ justifyContent: "flex-start" }}>
+        <button className="miniBtn primary" onClick={onRestart}>Start another session</button>
+        <button className="miniBtn" onClick={onClose}>Done</button>
+      </div>
+    </div>
+  );
+}
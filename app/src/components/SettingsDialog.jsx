@@ -0,0 +1,142 @@
+import { NEW_ORDERS } from "../lib/queue";
+import { LEECH_ACTIONS } from "../lib/leeches";
+import { SPEECH_RATES } from "../lib/audio";
+
+function NumberField({ label, value, min = 0, max = 9999, onChange }) {
+  return (
+    <label className="field">
+      <span>{label}</span>
+      <input
+        type="number"
+        min={min}
+        max={max}
+        value={value}
+        onChange={(e) => {
+          const n = Number(e.target.value);
+          if (Number.isFinite(n)) onChange(Math.min(max, Math.max(min, Math.round(n))));
+        }}
+      />
+    </label>
+  );
+}
+
+export default function SettingsDialog({
+  limits,
+  onChangeLimits,
+  leech,
+  onChangeLeech,
+  audio,
+  onChangeAudio,
+  voiceName,
+  onAttachRecordings,
+  onOpenScheduling,
+  onClose,
+}) {
+  return (
+    <div className="modalBackdrop" onClick={onClose}>
+      <div className="modal" onClick={(e) => e.stopPropagation()}>
+        <h2>Settings</h2>
+
+        <div className="settingsSection">
+          <div className="examplesTitle">Daily limits</div>
+          <div className="fieldGrid">
+            <NumberField
+              label="New cards per day"
+              value={limits.newPerDay}
+              onChange={(newPerDay) => onChangeLimits({ ...limits, newPerDay })}
+            />
+            <NumberField
+              label="Reviews per day"
+              value={limits.reviewsPerDay}
+              onChange={(reviewsPerDay) => onChangeLimits({ ...limits, reviewsPerDay })}
+            />
+            <label className="field">
+              <span>New card order</span>
+              <select value={limits.newOrder} onChange={(e) => onChangeLimits({ ...limits, newOrder: e.target.value })}>
+                {NEW_ORDERS.map((o) => (
+                  <option key={o.id} value={o.id}>{o.label}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+          <p>The Due queue shows learning cards first, then due reviews, then new cards.</p>
+        </div>
+
+        <div className="settingsSection">
+          <div className="examplesTitle">Leeches</div>
+          <div className="fieldGrid">
+            <NumberField
+              label="Lapses before a card is a leech"
+              value={leech.threshold}
+              min={1}
+              max={99}
+              onChange={(threshold) => onChangeLeech({ ...leech, threshold })}
+            />
+            <label className="field">
+              <span>When a card becomes a leech</span>
+              <select value={leech.action} onChange={(e) => onChangeLeech({ ...leech, action: e.target.value })}>
+                {LEECH_ACTIONS.map((a) => (
+                  <option key={a.id} value={a.id}>{a.label}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+          <p>Leeches are tagged “leech” and drilled by typing in the Leeches tab.</p>
+        </div>
+
+        <div className="settingsSection">
+          <div className="examplesTitle">Scheduling</div>
+          <p>Learning steps, graduating intervals, ease limits, maximum interval and fuzz, set per deck.</p>
+          <div className="modalActions" style={{ justifyContent: "flex-start" }}>
+            <button className="miniBtn" onClick={onOpenScheduling}>Edit scheduling…</button>
+          </div>
+        </div>
+
+        <div className="settingsSection">
+          <div className="examplesTitle">Audio</div>
+          <div className="fieldGrid">
+            <label className="field">
+              <span>Speech rate</span>
+              <select value={audio.rate} onChange={(e) => onChangeAudio({ ...audio, rate: Number(e.target.value) })}>
+                {SPEECH_RATES.map((r) => (
+                  <option key={r} value={r}>{r}×</option>
+                ))}
+              </select>
+            </label>
+            <label className="field">
+              <span>Recordings (file name = word, e.g. 가구.mp3)</span>
+              <input
+                type="file"
+                accept="audio/*"
+                multiple
+                onChange={(e) => {
+                  const files = [...(e.target.files ?? [])];
+                  e.target.value = "";
+                  if (files.length) onAttachRecordings(files);
+                }}
+              />
+            </label>
+          </div>
+          <label className="toggle">
+            <input
+              type="checkbox"
+              checked={audio.autoPlay}
+              onChange={(e) => onChangeAudio({ ...audio, autoPlay: e.target.checked })}
+            />
+            Say the word when a card is flipped
+          </label>
+          <p>
+            {voiceName
+              ? `Korean voice: ${voiceName} (offline).`
+              : "No offline Korean voice found, so recordings attached to cards are played."}{" "}
+            Press R to replay.
+          </p>
+        </div>
+
+        <div className="modalActions">
+          <button className="miniBtn primary" onClick={onClose}>Done</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,153 @@
+import { useMemo, useState } from "react";
+import {
+  countsByDay,
+  currentStreak,
+  longestStreak,
+  heatmapWeeks,
+  heatLevel,
+  retentionByGroup,
+  recentDays,
+} from "../lib/reviewStats";
+import { countFitReviews, MIN_FIT_REVIEWS } from "../lib/schedulers/fitFsrs";
+import Forecast from "./Forecast";
+
+function RetentionTable({ title, data }) {
+  if (!data.rows.length) return null;
+  return (
+    <div className="statsBlock">
+      <div className="examplesTitle">{title}</div>
+      <div className="tableScroll">
+        <table className="statsTable">
+          <thead>
+            <tr>
+              <th></th>
+              {data.labels.map((l) => <th key={l}>{l}</th>)}
+              <th>All</th>
+            </tr>
+          </thead>
+          <tbody>
+            {data.rows.map((r) => (
+              <tr key={r.group}>
+                <th>{r.group}</th>
+                {r.cells.map((c, i) => (
+                  <td key={i} title={`${c.correct}/${c.reviews}`}>
+                    {c.reviews ? `${Math.round((c.correct / c.reviews) * 100)}%` : "·"}
+                  </td>
+                ))}
+                <td><b>{r.pct ?? "·"}{r.pct !== null && "%"}</b></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+function FsrsFit({ reviewLog, schedulerSettings, onFitFsrs }) {
+  const [result, setResult] = useState(null);
+  const usable = useMemo(() => countFitReviews(reviewLog), [reviewLog]);
+
+  function run() {
+    try {
+      const r = onFitFsrs();
+      setResult({ ok: true, text: `Fitted on ${r.reviews} reviews. Log loss ${r.initialLoss.toFixed(3)} → ${r.loss.toFixed(3)}.` });
+    } catch (err) {
+      setResult({ ok: false, text: err.message });
+    }
+  }
+
+  return (
+    <div className="statsBlock">
+      <div className="examplesTitle">FSRS parameters</div>
+      <p>
+        {schedulerSettings.fsrsWeights ? "Using parameters fitted to your history." : "Using the FSRS defaults."}{" "}
+        {usable} of the {MIN_FIT_REVIEWS} spaced reviews needed for fitting are logged.
+      </p>
+      <div className="modalActions" style={{ justifyContent: "flex-start", marginTop: 8 }}>
+        <button className="miniBtn" onClick={run} disabled={usable < MIN_FIT_REVIEWS}>Fit from my history</button>
+      </div>
+      {result && <div className={`typingResult ${result.ok ? "ok" : "bad"}`} style={{ marginTop: 8 }}>{result.text}</div>}
+    </div>
+  );
+}
+
+export default function StatsPage({ cards, reviewLog, hanja, schedulerSettings, schedulerFor, newPerDay, onFitFsrs }) {
+  const byDay = useMemo(() => countsByDay(reviewLog), [reviewLog]);
+  const weeks = useMemo(() => heatmapWeeks(byDay), [byDay]);
+  const byLevel = useMemo(() => retentionByGroup(reviewLog, "level"), [reviewLog]);
+  const byPos = useMemo(() => retentionByGroup(reviewLog, "pos"), [reviewLog]);
+  const days = useMemo(() => recentDays(byDay), [byDay]);
+
+  const streak = currentStreak(byDay);
+  const best = longestStreak(byDay);
+  const totalMinutes = Math.round(reviewLog.reduce((n, e) => n + (e.durationMs ?? 0), 0) / 60000);
+  const maxMs = Math.max(1, ...days.map((d) => d.ms));
+
+  const forecast = (
+    <Forecast cards={cards} reviewLog={reviewLog} schedulerFor={schedulerFor} newPerDay={newPerDay} />
+  );
+
+  if (!reviewLog.length) {
+    return (
+      <div className="statsPage">
+        <h2>Statistics</h2>
+        <p>No reviews logged yet. Grade some cards and your history will show up here.</p>
+        {forecast}
+      </div>
+    );
+  }
+
+  return (
+    <div className="statsPage">
+      <h2>Statistics</h2>
+
+      <div className="previewGrid">
+        <div className="previewStat"><b>{streak}</b> day streak</div>
+        <div className="previewStat"><b>{best}</b> best streak</div>
+        <div className="previewStat"><b>{reviewLog.length}</b> reviews</div>
+        <div className="previewStat"><b>{totalMinutes}</b> minutes</div>
+        {hanja.total > 0 && (
+          <div className="previewStat" title={`${hanja.known} of ${hanja.total} hanja appear in a word you know`}>
+            <b>{Math.round((hanja.known / hanja.total) * 100)}%</b> hanja known
+          </div>
+        )}
+      </div>
+
+      <div className="statsBlock">
+        <div className="examplesTitle">Reviews per day</div>
+        <div className="heatmap">
+          {weeks.map((col, w) => (
+            <div key={w} className="heatCol">
+              {col.map((d) => (
+                <div
+                  key={d.key}
+                  className={`heatCell lvl${heatLevel(d.reviews)} ${d.future ? "future" : ""}`}
+                  title={`${d.key}: ${d.reviews} reviews`}
+                />
+              ))}
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {forecast}
+
+      <RetentionTable title="Retention by level (weekly)" data={byLevel} />
+      <RetentionTable title="Retention by 품사 (weekly)" data={byPos} />
+
+      <div className="statsBlock">
+        <div className="examplesTitle">Time studied (last 30 days)</div>
+        <div className="barChart">
+          {days.map((d) => (
+            <div key={d.key} className="barCol" title={`${d.key}: ${Math.round(d.ms / 60000)} min`}>
+              <div className="bar" style={{ height: `${(d.ms / maxMs) * 100}%` }} />
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <FsrsFit reviewLog={reviewLog} schedulerSettings={schedulerSettings} onFitFsrs={onFitFsrs} />
+    </div>
+  );
+}
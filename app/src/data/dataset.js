@@ -0,0 +1,16 @@
+import niklCsvUrl from "./nikl_vocab.csv?url";
+
+// The word list shipped with the app. Bump `version` whenever the CSV changes,
+// so existing users get the new rows merged into their progress.
+export const BUNDLED_DATASET = {
+  id: "nikl",
+  name: "NIKL 한국어 학습용 어휘",
+  version: 1,
+  url: niklCsvUrl,
+};
+
+export async function fetchBundledCsv() {
+  const res = await fetch(BUNDLED_DATASET.url);
+  if (!res.ok) throw new Error(`Could not load the bundled word list (${res.status}).`);
+  return res.text();
+}
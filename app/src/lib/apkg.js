@@ -0,0 +1,176 @@
+import initSqlJs from "sql.js";
+import sqlWasmUrl from "sql.js/dist/sql-wasm.wasm?url";
+import { zipSync, strToU8 } from "fflate";
+import { DAY } from "./dates";
+import { englishOf, examplesOf, fieldOf } from "./cards";
+
+// Builds an Anki package (.apkg, schema 11) with real scheduling, so cards
+// keep their intervals and due dates in Anki. Loaded on demand: sql.js pulls
+// in a ~600 KB wasm file nobody else needs.
+
+const FIELDS = ["Korean", "Meaning", "Hanja", "POS", "Level", "Notes"];
+
+const SCHEMA = `
+CREATE TABLE col (id integer primary key, crt integer not null, mod integer not null, scm integer not null,
+  ver integer not null, dty integer not null, usn integer not null, ls integer not null, conf text not null,
+  models text not null, decks text not null, dconf text not null, tags text not null);
+CREATE TABLE notes (id integer primary key, guid text not null, mid integer not null, mod integer not null,
+  usn integer not null, tags text not null, flds text not null, sfld integer not null, csum integer not null,
+  flags integer not null, data text not null);
+CREATE TABLE cards (id integer primary key, nid integer not null, did integer not null, ord integer not null,
+  mod integer not null, usn integer not null, type integer not null, queue integer not null, due integer not null,
+  ivl integer not null, factor integer not null, reps integer not null, lapses integer not null, left integer not null,
+  odue integer not null, odid integer not null, flags integer not null, data text not null);
+CREATE TABLE revlog (id integer primary key, cid integer not null, usn integer not null, ease integer not null,
+  ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null, type integer not null);
+CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null);
+CREATE INDEX ix_notes_usn on notes (usn);
+CREATE INDEX ix_cards_usn on cards (usn);
+CREATE INDEX ix_revlog_usn on revlog (usn);
+CREATE INDEX ix_cards_nid on cards (nid);
+CREATE INDEX ix_cards_sched on cards (did, queue, due);
+CREATE INDEX ix_revlog_cid on revlog (cid);
+CREATE INDEX ix_notes_csum on notes (csum);
+`;
+
+const CSS = ".card { font-family: sans-serif; font-size: 28px; text-align: center; }\n.small { font-size: 18px; color: #666; }";
+
+function model(modelId, deckId, now) {
+  return {
+    id: modelId,
+    name: "TOPIK Flashcards",
+    type: 0,
+    mod: Math.floor(now / 1000),
+    usn: -1,
+    sortf: 0,
+    did: deckId,
+    tmpls: [
+      {
+        name: "Korean → Meaning",
+        ord: 0,
+        qfmt: "{{Korean}}",
+        afmt: '{{FrontSide}}<hr id=answer>{{Meaning}}<div class="small">{{Hanja}} · {{POS}} · {{Level}}</div><div class="small">{{Notes}}</div>',
+        did: null,
+        bqfmt: "",
+        bafmt: "",
+      },
+    ],
+    flds: FIELDS.map((name, ord) => ({ name, ord, sticky: false, rtl: false, font: "Arial", size: 20, media: [] })),
+    css: CSS,
+    latexPre: "",
+    latexPost: "",
+    latexsvg: false,
+    req: [[0, "any", [0]]],
+    tags: [],
+    vers: [],
+  };
+}
+
+function deck(id, name, now) {
+  return {
+    id,
+    name,
+    mod: Math.floor(now / 1000),
+    usn: -1,
+    desc: "",
+    dyn: 0,
+    conf: 1,
+    collapsed: false,
+    extendNew: 10,
+    extendRev: 50,
+    newToday: [0, 0],
+    revToday: [0, 0],
+    lrnToday: [0, 0],
+    timeToday: [0, 0],
+  };
+}
+
+const DCONF = {
+  1: {
+    id: 1,
+    name: "Default",
+    mod: 0,
+    usn: 0,
+    maxTaken: 60,
+    autoplay: true,
+    timer: 0,
+    replayq: true,
+    dyn: false,
+    new: { bury: true, delays: [1, 10], initialFactor: 2500, ints: [1, 4, 7], order: 1, perDay: 20 },
+    lapse: { delays: [10], leechAction: 0, leechFails: 8, minInt: 1, mult: 0 },
+    rev: { bury: true, ease4: 1.3, fuzz: 0.05, ivlFct: 1, maxIvl: 36500, perDay: 200 },
+  },
+};
+
+// Anki's checksum: first 8 hex digits of the SHA-1 of the sort field.
+async function checksum(text) {
+  const digest = await crypto.subtle.digest("SHA-1", new TextEncoder().encode(text));
+  const hex = [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, "0")).join("");
+  return parseInt(hex.slice(0, 8), 16);
+}
+
+function guidFor(card) {
+  // Stable across exports so re-importing into Anki updates instead of duplicating.
+  let h = 0;
+  for (const ch of `topik:${card.id}`) h = (Math.imul(h, 31) + ch.charCodeAt(0)) | 0;
+  return `tk${(h >>> 0).toString(36)}${card.id.length.toString(36)}`;
+}
+
+// Anki due units: new = position, learning = epoch seconds, review = days since crt.
+function schedulingFor(card, index, crt) {
+  const factor = Math.round((card.ease ?? 2.5) * 1000);
+  const base = { ivl: 0, factor: 0, reps: card.reps ?? 0, lapses: card.lapses ?? 0 };
+  if (card.state === "known") {
+    const days = Math.max(0, Math.floor((card.due - crt * 1000) / DAY));
+    return { ...base, type: 2, queue: 2, due: days, ivl: Math.max(1, Math.round(card.intervalDays ?? 1)), factor };
+  }
+  if (card.state === "learning") {
+    return { ...base, type: 1, queue: 1, due: Math.floor(card.due / 1000), factor, left: 1001 };
+  }
+  return { ...base, type: 0, queue: 0, due: index + 1 };
+}
+
+export async function buildApkg(cards, { deckName = "TOPIK Flashcards", now = Date.now() } = {}) {
+  const SQL = await initSqlJs({ locateFile: () => sqlWasmUrl });
+  const db = new SQL.Database();
+  try {
+    db.run(SCHEMA);
+
+    const deckId = now;
+    const modelId = now + 1;
+    const crt = Math.floor(new Date(now).setHours(4, 0, 0, 0) / 1000);
+    const conf = { nextPos: cards.length + 1, estTimes: true, activeDecks: [1], sortType: "noteFld", timeLim: 0,
+      sortBackwards: false, addToCur: true, curDeck: deckId, newBury: true, newSpread: 0, dueCounts: true,
+      curModel: String(modelId), collapseTime: 1200 };
+    db.run("INSERT INTO col VALUES (1, ?, ?, ?, 11, 0, 0, 0, ?, ?, ?, ?, '{}')", [
+      crt,
+      now,
+      now,
+      JSON.stringify(conf),
+      JSON.stringify({ [modelId]: model(modelId, deckId, now) }),
+      JSON.stringify({ 1: deck(1, "Default", now), [deckId]: deck(deckId, deckName, now) }),
+      JSON.stringify(DCONF),
+    ]);
+
+    const noteStmt = db.prepare("INSERT INTO notes VALUES (?, ?, ?, ?, -1, ?, ?, ?, ?, 0, '')");
+    const cardStmt = db.prepare("INSERT INTO cards VALUES (?, ?, ?, 0, ?, -1, ?, ?, ?, ?, ?, ?, ?, ?, 0, 0, 0, '')");
+    const mod = Math.floor(now / 1000);
+    for (let i = 0; i < cards.length; i++) {
+      const c = cards[i];
+      const word = c.rawWord ?? c.word;
+      const notes = [fieldOf(c, "note"), fieldOf(c, "mnemonic"), ...examplesOf(c)].filter(Boolean).join("<br>");
+      const flds = [word, englishOf(c), c.hanja, c.pos, c.level, notes].map((f) => String(f ?? "")).join("\x1f");
+      const tags = (c.tags ?? []).map((t) => t.replace(/\s+/g, "_")).join(" ");
+      const id = now + i + 2;
+      noteStmt.run([id, guidFor(c), modelId, mod, tags ? ` ${tags} ` : "", flds, word, await checksum(word)]);
+      const s = schedulingFor(c, i, crt);
+      cardStmt.run([id, id, deckId, mod, s.type, s.queue, s.due, s.ivl, s.factor, s.reps, s.lapses, s.left ?? 0]);
+    }
+    noteStmt.free();
+    cardStmt.free();
+
+    return zipSync({ "collection.anki2": db.export(), media: strToU8("{}") });
+  } finally {
+    db.close();
+  }
+}
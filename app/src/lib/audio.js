@@ -0,0 +1,140 @@
+import { createStore, get, set, del, delMany, keys } from "idb-keyval";
+import { stripSenseSuffix } from "./hangul";
+
+// Pronunciation. An offline Korean voice from the browser's speech synthesis
+// is used when one is installed; otherwise the recording attached to the card
+// plays. Recordings are kept in their own store keyed by card id; the card
+// only carries the file name in `audio`.
+
+export const DEFAULT_AUDIO = { autoPlay: true, rate: 0.9 };
+export const SPEECH_RATES = [0.6, 0.75, 0.9, 1, 1.2];
+
+let recordingStore = null;
+function recordingsDb() {
+  recordingStore ??= createStore("topik-flashcards-audio", "recordings");
+  return recordingStore;
+}
+
+function speechSupported() {
+  return typeof window !== "undefined" && "speechSynthesis" in window && "SpeechSynthesisUtterance" in window;
+}
+
+// Online voices would need a connection, so only local ones count.
+export function koreanVoice() {
+  if (!speechSupported()) return null;
+  const voices = window.speechSynthesis.getVoices().filter((v) => /^ko\b/i.test(v.lang) && v.localService);
+  return voices.find((v) => /^ko[-_]kr$/i.test(v.lang)) ?? voices[0] ?? null;
+}
+
+// Browsers load their voice list late; `onChange` gets the Korean voice (or
+// null) now and whenever the list changes. Returns an unsubscribe function.
+export function watchVoices(onChange) {
+  if (!speechSupported()) {
+    onChange(null);
+    return () => {};
+  }
+  const update = () => onChange(koreanVoice());
+  window.speechSynthesis.addEventListener("voiceschanged", update);
+  update();
+  return () => window.speechSynthesis.removeEventListener("voiceschanged", update);
+}
+
+export function canPlay(card, voice) {
+  return Boolean(voice || card.audio);
+}
+
+export function saveRecording(id, file) {
+  return set(id, file, recordingsDb());
+}
+
+export function deleteRecording(id) {
+  return del(id, recordingsDb());
+}
+
+export function deleteRecordings(ids) {
+  return delMany(ids, recordingsDb());
+}
+
+// Backups carry each card's `audio` name but not the file, so a backup
+// restored on another device would point at recordings that aren't there.
+// Drops `audio` from those cards; if the store can't be read, leaves them be.
+export async function withoutMissingRecordings(cards) {
+  let stored;
+  try {
+    stored = new Set(await keys(recordingsDb()));
+  } catch {
+    return cards;
+  }
+  return cards.map((c) => {
+    if (!c.audio || stored.has(c.id)) return c;
+    const next = { ...c };
+    delete next.audio;
+    return next;
+  });
+}
+
+// Matches recordings to cards by file name: "가구03.mp3" goes to 가구03,
+// "가구.mp3" to the first 가구 not already matched. Returns [{ file, card }]
+// and the files that matched no card.
+export function matchRecordings(files, cards) {
+  const byRaw = new Map();
+  const byWord = new Map();
+  for (const c of cards) {
+    if (c.rawWord && !byRaw.has(c.rawWord)) byRaw.set(c.rawWord, c);
+    byWord.set(c.word, [...(byWord.get(c.word) ?? []), c]);
+  }
+  const nameOf = (file) => file.name.replace(/\.[^.]+$/, "").normalize("NFC").trim();
+  const claimed = new Set();
+  const matched = [];
+  const rest = [];
+  for (const file of files) {
+    const card = byRaw.get(nameOf(file));
+    if (card && !claimed.has(card.id)) {
+      claimed.add(card.id);
+      matched.push({ file, card });
+    } else rest.push(file);
+  }
+  const unmatched = [];
+  for (const file of rest) {
+    const card = (byWord.get(stripSenseSuffix(nameOf(file))) ?? []).find((c) => !claimed.has(c.id));
+    if (card) {
+      claimed.add(card.id);
+      matched.push({ file, card });
+    } else unmatched.push(file);
+  }
+  return { matched, unmatched };
+}
+
+let playing = null;
+
+function stop() {
+  if (speechSupported()) window.speechSynthesis.cancel();
+  if (playing) {
+    playing.element.pause();
+    URL.revokeObjectURL(playing.url);
+    playing = null;
+  }
+}
+
+// Says the card's word. Resolves to "voice" or "file", or null when there is
+// nothing to play (no Korean voice and no recording).
+export async function playCard(card, { voice = null, rate = DEFAULT_AUDIO.rate } = {}) {
+  stop();
+  if (voice) {
+    const utterance = new window.SpeechSynthesisUtterance(stripSenseSuffix(card.word));
+    utterance.voice = voice;
+    utterance.lang = voice.lang;
+    utterance.rate = rate;
+    window.speechSynthesis.speak(utterance);
+    return "voice";
+  }
+  if (!card.audio) return null;
+  const blob = await get(card.id, recordingsDb());
+  if (!blob) return null;
+  const url = URL.createObjectURL(blob);
+  const element = new Audio(url);
+  playing = { element, url };
+  // Autoplay can be blocked before the first tap; the replay key still works.
+  await element.play().catch(() => {});
+  return "file";
+}
@@ -0,0 +1,114 @@
+export const BACKUP_APP = "topik-flashcards";
+export const BACKUP_VERSION = 2;
+
+const SETTINGS_FIELDS = [
+  "mode",
+  "activeId",
+  "search",
+  "levelFilter",
+  "posFilter",
+  "deckFilter",
+  "tagFilter",
+  "stateFilter",
+  "includeAux",
+  "typingMode",
+  "scheduler",
+  "limits",
+  "leech",
+  "hanjaFocus",
+  "sessionGoal",
+  "audio",
+  "decks",
+  "presets",
+  "dataset",
+];
+
+export function buildBackup({ cards, settings, stats, reviewLog }) {
+  return {
+    app: BACKUP_APP,
+    schemaVersion: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    cards,
+    settings: pickSettings(settings),
+    stats: stats ?? null,
+    reviewLog: reviewLog ?? [],
+  };
+}
+
+function pickSettings(source) {
+  const out = {};
+  for (const f of SETTINGS_FIELDS) {
+    if (source?.[f] !== undefined) out[f] = source[f];
+  }
+  return out;
+}
+
+// Each step takes a backup at version N and returns it at version N + 1.
+const MIGRATIONS = {
+  // v0: the raw `topik_flashcards_v1` IndexedDB record, saved by hand.
+  0: (data) => ({
+    app: BACKUP_APP,
+    schemaVersion: 1,
+    exportedAt: null,
+    cards: data.cards,
+    settings: pickSettings(data),
+    stats: null,
+  }),
+  // v1 -> v2: append-only review log.
+  1: (data) => ({ ...data, schemaVersion: 2, reviewLog: [] }),
+};
+
+function detectVersion(data) {
+  if (data.app === BACKUP_APP && Number.isInteger(data.schemaVersion)) return data.schemaVersion;
+  if (Array.isArray(data.cards)) return 0;
+  return null;
+}
+
+// What's wrong with a stored card, or null if it can be used.
+export function cardProblem(c, i) {
+  if (!c || typeof c !== "object") return `Card #${i + 1} is not an object.`;
+  if (!c.id || !c.word) return `Card #${i + 1} is missing its id or word.`;
+  for (const f of ["due", "intervalDays", "ease", "reps", "lapses", "stability", "difficulty"]) {
+    if (c[f] !== undefined && !Number.isFinite(c[f])) return `Card "${c.word}" has an invalid ${f}.`;
+  }
+  return null;
+}
+
+function validateCards(cards) {
+  if (!Array.isArray(cards)) throw new Error("Backup has no card list.");
+  cards.forEach((c, i) => {
+    const problem = cardProblem(c, i);
+    if (problem) throw new Error(problem);
+  });
+}
+
+// Throws with a user-facing message when the file can't be restored.
+export function parseBackup(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("This file is not valid JSON.");
+  }
+  if (!data || typeof data !== "object") throw new Error("This file is not a backup.");
+
+  let version = detectVersion(data);
+  if (version === null) throw new Error("This file is not a TOPIK Flashcards backup.");
+  if (version > BACKUP_VERSION) {
+    throw new Error(`This backup was made by a newer version of the app (schema ${version}).`);
+  }
+
+  while (version < BACKUP_VERSION) {
+    data = MIGRATIONS[version](data);
+    version += 1;
+  }
+
+  validateCards(data.cards);
+  if (!Array.isArray(data.reviewLog)) throw new Error("Backup review log is damaged.");
+  return data;
+}
+
+export function backupFileName(date = new Date()) {
+  const stamp = date.toISOString().slice(0, 10);
+  return `topik-flashcards-backup-${stamp}.json`;
+}
@@ -0,0 +1,144 @@
+import { stripSenseSuffix } from "./hangul";
+
+export const POS_LABELS = {
+  명: { ko: "명사", en: "Noun" },
+  동: { ko: "동사", en: "Verb" },
+  형: { ko: "형용사", en: "Adjective" },
+  부: { ko: "부사", en: "Adverb" },
+  의: { ko: "의존명사", en: "Dependent noun" },
+  관: { ko: "관형사", en: "Determiner" },
+  대: { ko: "대명사", en: "Pronoun" },
+  감: { ko: "감탄사", en: "Interjection" },
+  수: { ko: "수사", en: "Numeral" },
+  접: { ko: "접속사", en: "Conjunction" },
+  보: { ko: "보조용언", en: "Auxiliary" },
+};
+
+// Fields that belong to the user's review history, never to the CSV.
+export const SCHEDULING_FIELDS = [
+  "state",
+  "due",
+  "intervalDays",
+  "ease",
+  "reps",
+  "lapses",
+  "stability",
+  "difficulty",
+  "lastReview",
+  "scheduler",
+  "learningStep",
+];
+
+export function pickScheduling(card) {
+  const out = {};
+  for (const f of SCHEDULING_FIELDS) {
+    if (card[f] !== undefined) out[f] = card[f];
+  }
+  return out;
+}
+
+// Puts back the schedule (both directions) and leech flags `card` had in
+// `before`, leaving content and edits made since alone.
+export function restoreScheduling(card, before) {
+  const next = { ...card };
+  for (const f of [...SCHEDULING_FIELDS, "reverse", "tags", "suspended"]) {
+    if (before[f] === undefined) delete next[f];
+    else next[f] = before[f];
+  }
+  return next;
+}
+
+// Fields the user can add or override on any card. Overrides live under
+// `card.edits` so a re-import can refresh the CSV fields without losing them.
+export const EDITABLE_FIELDS = ["english", "note", "mnemonic", "examples"];
+
+export function fieldOf(card, field) {
+  return card.edits?.[field] ?? card[field];
+}
+
+export function englishOf(card) {
+  return String(fieldOf(card, "english") ?? "").trim();
+}
+
+export function examplesOf(card) {
+  return fieldOf(card, "examples") ?? [];
+}
+
+export function meaningOf(card) {
+  return englishOf(card) || String(card.hanja ?? "").trim();
+}
+
+export function splitExamples(text) {
+  return String(text ?? "")
+    .split(/\s*\|\s*|\n/)
+    .map((x) => x.trim())
+    .filter(Boolean);
+}
+
+// Store only what differs from the card's own (CSV) content; empty fields
+// clear the override.
+export function applyEdits(card, userFields) {
+  const edits = {};
+  for (const f of EDITABLE_FIELDS) {
+    const value = userFields[f];
+    const empty = Array.isArray(value) ? !value.length : !value;
+    if (empty) continue;
+    if (JSON.stringify(value) === JSON.stringify(card[f])) continue;
+    edits[f] = value;
+  }
+  const next = { ...card };
+  if (Object.keys(edits).length) next.edits = edits;
+  else delete next.edits;
+  return next;
+}
+
+export function newCustomCard(fields, now = Date.now()) {
+  const rawWord = String(fields.word ?? "").trim();
+  return {
+    id: `custom-${now}-${Math.random().toString(36).slice(2, 6)}`,
+    word: stripSenseSuffix(rawWord),
+    rawWord,
+    pos: fields.pos ?? "",
+    hanja: fields.hanja ?? "",
+    level: fields.level ?? "",
+    rank: null,
+    custom: true,
+    state: "new",
+    due: now,
+    intervalDays: 0,
+    ease: 2.5,
+    reps: 0,
+    lapses: 0,
+  };
+}
+
+const HANJA_RE = /[㐀-䶿一-鿿豈-﫿]/g;
+
+const HANJA_CHAR_RE = new RegExp(`^${HANJA_RE.source}$`);
+
+export function isHanja(ch) {
+  return HANJA_CHAR_RE.test(ch);
+}
+
+export function hanjaChars(card) {
+  return [...new Set(String(card.hanja ?? "").match(HANJA_RE) ?? [])];
+}
+
+// Study directions. "forward" (Korean → meaning) keeps its schedule on the card
+// itself, as before; "reverse" (meaning → Korean) keeps its own copy under
+// `card.reverse`, so each direction is scheduled independently.
+export const DIRECTIONS = ["forward", "reverse"];
+
+const FRESH_SCHEDULE = { state: "new", due: 0, intervalDays: 0, ease: 2.5, reps: 0, lapses: 0 };
+
+export function viewFor(card, direction) {
+  if (direction !== "reverse") return card;
+  const base = { ...card };
+  for (const f of SCHEDULING_FIELDS) delete base[f];
+  return { ...base, ...(card.reverse ?? FRESH_SCHEDULE) };
+}
+
+export function writeBack(card, direction, updated) {
+  if (direction !== "reverse") return updated;
+  return { ...card, reverse: pickScheduling(updated) };
+}
@@ -0,0 +1,267 @@
+import { compose, decompose, stripSenseSuffix } from "./hangul";
+
+// A small conjugation engine for dictionary-form verbs and adjectives (-다).
+// The stem class is decided from its spelling plus word lists for the stems
+// that spelling can't settle (입다 is regular, 덥다 is ㅂ-irregular).
+
+export const FORMS = [
+  { id: "present", label: "Present (해요체)", hint: "-아요/어요" },
+  { id: "past", label: "Past (해요체)", hint: "-았어요/었어요" },
+  { id: "future", label: "Future (해요체)", hint: "-(으)ㄹ 거예요" },
+  { id: "and", label: "And (-고)", hint: "-고" },
+  { id: "so", label: "So / and then (-아서/어서)", hint: "-아서/어서" },
+  { id: "if", label: "If (-(으)면)", hint: "-(으)면" },
+  { id: "honorific", label: "Honorific (-(으)세요)", hint: "-(으)세요" },
+  { id: "formal", label: "Formal (-(스)ㅂ니다)", hint: "-(스)ㅂ니다" },
+];
+
+// ㅂ-final stems that stay regular; every other ㅂ stem is irregular.
+const REGULAR_B = ["입", "잡", "좁", "씹", "뽑", "업", "접", "집", "꼽", "뒤집", "붙잡", "사로잡"];
+const IRREGULAR_D = ["듣", "걷", "묻", "싣", "깨닫", "일컫", "붇", "긷"];
+const IRREGULAR_S = ["낫", "짓", "잇", "붓", "긋", "젓"];
+// ㅎ-final stems that stay regular; the rest (그렇다, 빨갛다, 어떻다) drop ㅎ.
+const REGULAR_H = ["좋", "놓", "넣", "낳", "닿", "쌓", "땋", "찧"];
+// 르 stems that only drop ㅡ (따라) and the 러-irregulars (푸르러).
+const EU_REU = ["따르", "치르", "들르", "다다르", "우러르"];
+const REO = ["푸르", "노르"];
+// Stems that already carry the honorific 시: 계시다 → 계세요.
+const HONORIFIC_STEMS = ["계시", "주무시", "드시", "잡수시"];
+
+// Defective stems whose forms borrow from another verb (뵙다/뵈다).
+const SPELLED_OUT = {
+  뵙: { present: "봬요", past: "뵀어요", future: "뵐 거예요", and: "뵙고", so: "봬서", if: "뵈면", honorific: "뵈세요", formal: "뵙습니다" },
+};
+
+const BRIGHT = ["ㅏ", "ㅗ", "ㅑ"];
+
+function endsWithAny(stem, list) {
+  return list.some((s) => stem.endsWith(s));
+}
+
+function splitLast(stem) {
+  return { head: stem.slice(0, -1), last: decompose(stem.slice(-1)) };
+}
+
+function withLast(stem, parts) {
+  const { head, last } = splitLast(stem);
+  return head + compose({ ...last, ...parts });
+}
+
+function isBright(syllable) {
+  return BRIGHT.includes(decompose(syllable)?.jung);
+}
+
+export function stemOf(word) {
+  const w = stripSenseSuffix(word).trim();
+  if (w.length < 2 || !w.endsWith("다") || !decompose(w.slice(-2, -1))) return null;
+  return w.slice(0, -1);
+}
+
+export function stemClass(stem) {
+  const { last } = splitLast(stem);
+  const lastChar = stem.slice(-1);
+  if (lastChar === "하") return "hada";
+  if (last.jong === "ㄹ") return "l";
+  if (last.jong === "ㅂ") return endsWithAny(stem, REGULAR_B) ? "regular" : "b";
+  if (last.jong === "ㄷ") return endsWithAny(stem, IRREGULAR_D) ? "d" : "regular";
+  if (last.jong === "ㅅ") return endsWithAny(stem, IRREGULAR_S) ? "s" : "regular";
+  if (last.jong === "ㅎ") return endsWithAny(stem, REGULAR_H) ? "regular" : "h";
+  if (last.jong) return "regular";
+  if (lastChar === "르") {
+    if (endsWithAny(stem, REO)) return "reo";
+    return stem.length > 1 && !endsWithAny(stem, EU_REU) ? "reu" : "eu";
+  }
+  if (last.jung === "ㅡ") return "eu";
+  if (stem === "푸") return "u";
+  if (stem.endsWith("아니")) return "ani";
+  return "regular";
+}
+
+// The -아/어 form (해, 먹어, 더워, 몰라, 바빠): the base of 해요체, past and -아서.
+export function infinitive(stem) {
+  const cls = stemClass(stem);
+  const { head, last } = splitLast(stem);
+  const prev = head.slice(-1);
+
+  switch (cls) {
+    case "hada":
+      return head + "해";
+    case "d":
+      return withLast(stem, { jong: "ㄹ" }) + (isBright(stem.slice(-1)) ? "아" : "어");
+    case "s":
+      return withLast(stem, { jong: "" }) + (isBright(stem.slice(-1)) ? "아" : "어");
+    case "b": {
+      const base = withLast(stem, { jong: "" });
+      return base + (stem === "돕" || stem === "곱" ? "와" : "워");
+    }
+    case "h":
+      return withLast(stem, { jong: "", jung: last.jung === "ㅑ" ? "ㅒ" : last.jung === "ㅕ" ? "ㅖ" : "ㅐ" });
+    case "reu":
+      return head.slice(0, -1) + compose({ ...decompose(prev), jong: "ㄹ" }) + (isBright(prev) ? "라" : "러");
+    case "reo":
+      return stem + "러";
+    case "eu":
+      return withLast(stem, { jung: prev && isBright(prev) ? "ㅏ" : "ㅓ" });
+    case "u":
+      return "퍼";
+    case "ani":
+      return stem + "어";
+    default:
+      break;
+  }
+
+  if (last.jong) return stem + (isBright(stem.slice(-1)) ? "아" : "어");
+  // Open syllables contract with the ending: 가+아 → 가, 보+아 → 봐, 마시+어 → 마셔.
+  switch (last.jung) {
+    case "ㅏ":
+    case "ㅓ":
+    case "ㅐ":
+    case "ㅔ":
+    case "ㅕ":
+    case "ㅒ":
+    case "ㅖ":
+      return stem;
+    case "ㅗ":
+      return withLast(stem, { jung: "ㅘ" });
+    case "ㅜ":
+      return withLast(stem, { jung: "ㅝ" });
+    case "ㅣ":
+      return withLast(stem, { jung: "ㅕ" });
+    case "ㅚ":
+      return withLast(stem, { jung: "ㅙ" });
+    default:
+      return stem + (isBright(stem.slice(-1)) ? "아" : "어");
+  }
+}
+
+// Stem as it appears before a -(으) ending, and whether that 으 is needed.
+function euBase(stem) {
+  switch (stemClass(stem)) {
+    case "l":
+      return { base: stem, eu: false };
+    case "b":
+      return { base: withLast(stem, { jong: "" }) + "우", eu: false };
+    case "d":
+      return { base: withLast(stem, { jong: "ㄹ" }), eu: true };
+    case "s":
+      return { base: withLast(stem, { jong: "" }), eu: true };
+    case "h":
+      return { base: withLast(stem, { jong: "" }), eu: false };
+    default:
+      return { base: stem, eu: Boolean(splitLast(stem).last.jong) };
+  }
+}
+
+// -(으)면, -(으)세요, -(으)ㄹ: 먹으면, 가면, 살면, 사세요, 들을, 더울.
+function withEu(stem, ending) {
+  const { base, eu } = euBase(stem);
+  if (ending.startsWith("ㄹ")) {
+    if (eu) return base + "을" + ending.slice(1);
+    if (splitLast(base).last.jong === "ㄹ") return base + ending.slice(1);
+    return withLast(base, { jong: "ㄹ" }) + ending.slice(1);
+  }
+  // ㄹ drops before ㅅ and ㄴ: 살다 → 사세요, 알다 → 아니까.
+  if (stemClass(stem) === "l" && /^[세시니]/.test(ending)) return withLast(base, { jong: "" }) + ending;
+  return base + (eu ? "으" : "") + ending;
+}
+
+function addJong(text, jong) {
+  return withLast(text, { jong });
+}
+
+export function conjugate(word, form) {
+  const stem = stemOf(word);
+  if (!stem) return null;
+  const spelled = Object.keys(SPELLED_OUT).find((s) => stem.endsWith(s));
+  if (spelled) {
+    const text = SPELLED_OUT[spelled][form];
+    return text ? stem.slice(0, -spelled.length) + text : null;
+  }
+  const honorificStem = endsWithAny(stem, HONORIFIC_STEMS);
+
+  switch (form) {
+    case "present":
+      return honorificStem ? stem.slice(0, -1) + "세요" : infinitive(stem) + "요";
+    case "past":
+      return addJong(infinitive(stem), "ㅆ") + "어요";
+    case "future":
+      return withEu(stem, "ㄹ 거예요");
+    case "and":
+      return stem + "고";
+    case "so":
+      return infinitive(stem) + "서";
+    case "if":
+      return withEu(stem, "면");
+    case "honorific":
+      return honorificStem ? stem.slice(0, -1) + "세요" : withEu(stem, "세요");
+    case "formal": {
+      const cls = stemClass(stem);
+      if (cls === "l") return addJong(stem, "ㅂ") + "니다";
+      return splitLast(stem).last.jong ? stem + "습니다" : addJong(stem, "ㅂ") + "니다";
+    }
+    default:
+      return null;
+  }
+}
+
+export function conjugations(word) {
+  if (!stemOf(word)) return [];
+  return FORMS.map((f) => ({ ...f, text: conjugate(word, f.id) }));
+}
+
+export function canConjugate(card) {
+  return (card.pos === "동" || card.pos === "형") && Boolean(stemOf(card.word));
+}
+
+// 보조용언 only make sense after another verb: the host phrase to put in
+// front of each, and the form to conjugate the auxiliary in.
+const AUX_PATTERNS = {
+  가다: ["해"],
+  가지다: ["해"],
+  갖다: ["해"],
+  나가다: ["해"],
+  내다: ["해"],
+  놓다: ["해"],
+  두다: ["해"],
+  드리다: ["해"],
+  버리다: ["해"],
+  보다: ["해"],
+  오다: ["해"],
+  주다: ["해"],
+  치우다: ["먹어"],
+  먹다: ["사"],
+  죽다: ["배고파"],
+  있다: ["먹고"],
+  싶다: ["먹고"],
+  계시다: ["읽고"],
+  나다: ["먹고"],
+  싶어지다: ["먹고"],
+  않다: ["먹지"],
+  아니하다: ["먹지"],
+  못하다: ["먹지"],
+  말다: ["먹지", "honorific"],
+  만하다: ["먹을"],
+  뻔하다: ["넘어질", "past"],
+  듯하다: ["비가 올"],
+  듯싶다: ["비가 올"],
+  척하다: ["자는"],
+  체하다: ["자는"],
+  하다: ["먹어야"],
+};
+
+// Grammatical example sentences built from the engine; nouns get none.
+export function exampleSentences(card) {
+  const word = stripSenseSuffix(card.rawWord ?? card.word);
+  if (card.pos === "보") {
+    const pattern = AUX_PATTERNS[word];
+    if (!pattern) return [];
+    const [host, form = "present"] = pattern;
+    return [`${host} ${conjugate(word, form)}.`];
+  }
+  if (!canConjugate(card)) return [];
+  const f = (form) => conjugate(word, form);
+  if (card.pos === "동") {
+    return [`오늘 ${f("present")}.`, `어제 ${f("past")}.`, `내일 ${f("future")}.`];
+  }
+  return [`정말 ${f("present")}.`, `어제는 ${f("past")}.`, `${f("if")} 좋겠어요.`];
+}
@@ -0,0 +1,76 @@
+import Papa from "papaparse";
+import { stripSenseSuffix } from "./hangul";
+import { splitExamples } from "./cards";
+
+export function parseRank(value) {
+  const s = String(value ?? "").trim();
+  if (!s) return null;
+  const n = Number(s);
+  return Number.isFinite(n) ? n : null;
+}
+
+export function splitTags(value) {
+  return String(value ?? "")
+    .split(/[,;\s]+/)
+    .map((t) => t.trim())
+    .filter(Boolean);
+}
+
+// `fields` holds trimmed strings for word, rank, pos, hanja, level and the
+// optional english, examples and tags columns. The id keeps the original
+// `순위-단어` shape so progress lines up with earlier imports.
+export function makeCard(fields, now = Date.now()) {
+  const rawWord = String(fields.word ?? "").trim();
+  const rankText = String(fields.rank ?? "").trim();
+  const tags = splitTags(fields.tags);
+  const examples = splitExamples(fields.examples);
+
+  return {
+    id: `${rankText}-${rawWord}`,
+    word: stripSenseSuffix(rawWord),
+    rawWord,
+    pos: String(fields.pos ?? "").trim(),
+    hanja: String(fields.hanja ?? "").trim(),
+    level: String(fields.level ?? "").trim().toUpperCase(),
+    rank: parseRank(rankText),
+    ...(fields.english ? { english: String(fields.english).trim() } : {}),
+    ...(examples.length ? { examples } : {}),
+    ...(tags.length ? { tags } : {}),
+    state: "new",
+    due: now,
+    intervalDays: 0,
+    ease: 2.5,
+    reps: 0,
+    lapses: 0,
+  };
+}
+
+export function rowToCard(r, now = Date.now()) {
+  return makeCard(
+    {
+      word: r["단어"],
+      rank: r["순위"],
+      pos: r["품사"],
+      hanja: r["풀이"],
+      level: r["등급"],
+      english: r["영어"],
+      examples: r["예문"],
+    },
+    now
+  );
+}
+
+// `input` is a File or the CSV text itself, with the NIKL Korean headers.
+export function parseVocabCsv(input) {
+  return new Promise((resolve, reject) => {
+    Papa.parse(input, {
+      header: true,
+      skipEmptyLines: true,
+      complete: (res) => {
+        const now = Date.now();
+        resolve((res.data ?? []).filter((r) => r["단어"]).map((r) => rowToCard(r, now)));
+      },
+      error: reject,
+    });
+  });
+}
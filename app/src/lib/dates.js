@@ -0,0 +1,47 @@
+export const MINUTE = 60 * 1000;
+export const HOUR = 60 * MINUTE;
+export const DAY = 24 * HOUR;
+
+export function dayKey(ts = Date.now()) {
+  const d = new Date(ts);
+  const y = d.getFullYear();
+  const m = String(d.getMonth() + 1).padStart(2, "0");
+  const day = String(d.getDate()).padStart(2, "0");
+  return `${y}-${m}-${day}`;
+}
+
+export function todayKey() {
+  return dayKey(Date.now());
+}
+
+export function startOfDay(ts = Date.now()) {
+  const d = new Date(ts);
+  d.setHours(0, 0, 0, 0);
+  return d.getTime();
+}
+
+export function addMinutes(ts, minutes) {
+  return ts + minutes * MINUTE;
+}
+export function addHours(ts, hours) {
+  return ts + hours * HOUR;
+}
+export function addDays(ts, days) {
+  return ts + days * DAY;
+}
+
+// 4:05 style; for timers and time spent.
+export function formatClock(ms) {
+  const s = Math.max(0, Math.ceil(ms / 1000));
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+}
+
+// "now", "in 10 min", "in 6 h", "in 3 days".
+export function formatUntil(ts, now = Date.now()) {
+  const ms = ts - now;
+  if (ms <= 0) return "now";
+  if (ms < HOUR) return `in ${Math.ceil(ms / MINUTE)} min`;
+  if (ms < DAY) return `in ${Math.round(ms / HOUR)} h`;
+  const days = Math.round(ms / DAY);
+  return `in ${days} day${days === 1 ? "" : "s"}`;
+}
@@ -0,0 +1,86 @@
+import { splitTags } from "./csv";
+
+// Decks split the cards into named lists (the TOPIK list, a textbook chapter,
+// words mined from reading), each imported on its own. Cards without a `deck`
+// belong to the built-in list.
+
+export const DEFAULT_DECK_ID = "topik";
+export const DEFAULT_DECKS = [{ id: DEFAULT_DECK_ID, name: "TOPIK word list" }];
+
+export const STATE_FILTERS = ["all", "new", "learning", "known", "suspended"];
+
+// What the study queue and the header stats are narrowed to. A preset is a
+// saved filter with a name.
+export const EMPTY_FILTER = { deck: "all", tag: "all", level: "all", pos: "all", state: "all" };
+const FILTER_KEYS = Object.keys(EMPTY_FILTER);
+
+export function deckOf(card) {
+  return card.deck ?? DEFAULT_DECK_ID;
+}
+
+export function newDeck(name, now = Date.now()) {
+  return { id: `deck-${now.toString(36)}`, name: name.trim() };
+}
+
+// Cards imported into another deck carry the deck in their id, so a word that
+// is in two decks keeps two separate schedules.
+export function intoDeck(cards, deckId) {
+  if (deckId === DEFAULT_DECK_ID) return cards;
+  return cards.map((c) => ({ ...c, id: `${deckId}:${c.id}`, deck: deckId }));
+}
+
+export function splitDeck(cards, deckId) {
+  const inDeck = [];
+  const others = [];
+  for (const c of cards) (deckOf(c) === deckId ? inDeck : others).push(c);
+  return { inDeck, others };
+}
+
+export function deckCounts(cards) {
+  const counts = new Map();
+  for (const c of cards) {
+    if (c.removed) continue;
+    counts.set(deckOf(c), (counts.get(deckOf(c)) ?? 0) + 1);
+  }
+  return counts;
+}
+
+// Every tag in use, most used first.
+export function allTags(cards) {
+  const counts = new Map();
+  for (const c of cards) {
+    if (c.removed) continue;
+    for (const t of c.tags ?? []) counts.set(t, (counts.get(t) ?? 0) + 1);
+  }
+  return [...counts.entries()]
+    .map(([tag, count]) => ({ tag, count }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
+export function parseTags(text) {
+  return [...new Set(splitTags(text))];
+}
+
+// `card` is the view for the current direction, so "state" means the state
+// of the side being studied.
+export function matchesFilter(card, filter) {
+  if (filter.deck !== "all" && deckOf(card) !== filter.deck) return false;
+  if (filter.tag !== "all" && !card.tags?.includes(filter.tag)) return false;
+  if (filter.level !== "all" && String(card.level || "").trim() !== filter.level) return false;
+  if (filter.pos !== "all" && String(card.pos || "").trim() !== filter.pos) return false;
+  if (filter.state === "suspended") return Boolean(card.suspended);
+  if (filter.state !== "all" && (card.state ?? "new") !== filter.state) return false;
+  return true;
+}
+
+export function newPreset(name, filter, now = Date.now()) {
+  return { id: `preset-${now.toString(36)}`, name: name.trim(), ...pickFilter(filter) };
+}
+
+export function pickFilter(source) {
+  return Object.fromEntries(FILTER_KEYS.map((k) => [k, source?.[k] ?? EMPTY_FILTER[k]]));
+}
+
+export function presetMatching(presets, filter) {
+  return presets.find((p) => FILTER_KEYS.every((k) => p[k] === filter[k])) ?? null;
+}
@@ -0,0 +1,49 @@
+import { hanjaChars, meaningOf } from "./cards";
+import { alignSyllables, stripSenseSuffix } from "./hangul";
+import { hashString, seededRandom, shuffled } from "./random";
+
+// How hard a candidate is to tell apart from the answer. Words from the same
+// 품사 and 등급, with similar spelling or a shared hanja, make the best traps.
+function confusability(card, other, cardHanja) {
+  let score = 0;
+  if (other.pos && other.pos === card.pos) score += 2;
+  if (other.level && other.level === card.level) score += 1;
+
+  const a = stripSenseSuffix(card.word);
+  const b = stripSenseSuffix(other.word);
+  const longest = Math.max([...a].length, [...b].length);
+  if (longest) {
+    const { distance } = alignSyllables(a, b);
+    score += 3 * Math.max(0, 1 - distance / longest);
+  }
+
+  if (cardHanja.length && hanjaChars(other).some((ch) => cardHanja.includes(ch))) score += 3;
+  return score;
+}
+
+// Build `count + 1` shuffled options for `card`. `optionText` decides what is
+// shown (meaning for Korean → meaning, the word for meaning → Korean); options
+// with the same text as the answer are skipped so there's exactly one right one.
+export function buildChoices(card, pool, { count = 3, optionText, seed = 0 } = {}) {
+  const answerText = optionText(card);
+  const cardHanja = hanjaChars(card);
+  const rand = seededRandom(hashString(card.id) ^ seed);
+  const seen = new Set([answerText]);
+
+  const ranked = pool
+    // Other senses of the same word (가구03/가구04) would be a second right answer.
+    .filter((c) => c.id !== card.id && !c.removed && meaningOf(c) && c.word !== card.word)
+    .map((c) => ({ c, score: confusability(card, c, cardHanja) + rand() }))
+    .sort((x, y) => y.score - x.score);
+
+  const picked = [];
+  for (const { c } of ranked) {
+    const text = optionText(c);
+    if (!text || seen.has(text)) continue;
+    seen.add(text);
+    picked.push({ id: c.id, text, correct: false });
+    if (picked.length >= count) break;
+  }
+
+  return shuffled([{ id: card.id, text: answerText, correct: true }, ...picked], rand);
+}
@@ -0,0 +1,120 @@
+import { viewFor } from "./cards";
+import { DAY, HOUR, startOfDay, dayKey } from "./dates";
+import { isCorrect } from "./reviewStats";
+import { seededRandom } from "./random";
+
+export const FORECAST_DAYS = 30;
+export const MAX_FORECAST_DAYS = 365;
+export const DEFAULT_RECALL = 0.9;
+const DEFAULT_SECONDS = 8;
+// Enough logged reviews for the recall rate and pace to mean something.
+const MIN_SAMPLE = 50;
+const SIM_RUNS = 5;
+// Guards against a scheduler that keeps a failed card due the same day.
+const MAX_SAME_DAY = 8;
+// Longest stretch the simulation runs before letting the page handle input.
+const SLICE_MS = 12;
+
+const nextTask = () => new Promise((resolve) => setTimeout(resolve));
+
+// Start and end of each of the next `days` days; day 0 starts now.
+function dayBounds(days, now) {
+  const today = startOfDay(now);
+  return Array.from({ length: days }, (_, i) => {
+    // Noon, so a DST change can't skip or repeat a day.
+    const noon = today + i * DAY + 12 * HOUR;
+    return { key: dayKey(noon), start: i ? startOfDay(noon) : now, end: startOfDay(noon + DAY) };
+  });
+}
+
+// Every started side of every card: the forward schedule and, once the
+// reverse direction has been studied, that one too.
+function startedItems(cards) {
+  const items = [];
+  for (const c of cards) {
+    if ((c.state ?? "new") !== "new") items.push(c);
+    if (c.reverse && (c.reverse.state ?? "new") !== "new") items.push(viewFor(c, "reverse"));
+  }
+  return items;
+}
+
+// Reviews due on each of the next `days` days, from the cards' own due dates.
+// Anything overdue counts toward today.
+export function dueForecast(cards, { days = FORECAST_DAYS, now = Date.now() } = {}) {
+  const bounds = dayBounds(days, now);
+  const out = bounds.map((b) => ({ key: b.key, due: 0 }));
+  let overdue = 0;
+  for (const c of startedItems(cards)) {
+    const due = c.due ?? now;
+    if (due < now) overdue += 1;
+    const i = bounds.findIndex((b) => due < b.end);
+    if (i >= 0) out[i].due += 1;
+  }
+  return { days: out, overdue };
+}
+
+// Share of reviews of started cards answered right in the last 30 days, and
+// the average time per review.
+export function reviewPace(log, now = Date.now()) {
+  const recent = log.filter((e) => e.ts >= now - 30 * DAY && e.prevState !== "new");
+  const timed = log.filter((e) => e.ts >= now - 30 * DAY && e.durationMs > 0);
+  return {
+    recall: recent.length >= MIN_SAMPLE ? recent.filter(isCorrect).length / recent.length : DEFAULT_RECALL,
+    fromLog: recent.length >= MIN_SAMPLE,
+    seconds: timed.length >= MIN_SAMPLE ? timed.reduce((n, e) => n + e.durationMs, 0) / timed.length / 1000 : DEFAULT_SECONDS,
+  };
+}
+
+// Projects the daily workload if `newPerDay` new cards are started each day,
+// by replaying each card's scheduler over the coming days; the new cards are
+// the next unseen ones in the list. Each review is answered
+// right with probability `recall`; the result is the average of a few seeded
+// runs, so the same inputs always give the same chart. Daily limits are not
+// applied: this is the work the schedule asks for.
+//
+// Runs in slices that yield to the browser. Setting `token.cancelled` stops a
+// run whose inputs have changed; it then resolves to null.
+export async function simulateWorkload(
+  cards,
+  { newPerDay, days = FORECAST_DAYS, recall = DEFAULT_RECALL, schedulerFor, now = Date.now(), token = {} }
+) {
+  const bounds = dayBounds(days, now);
+  const totals = bounds.map((b) => ({ key: b.key, reviews: 0, fresh: 0 }));
+  const started = startedItems(cards);
+  const unseen = cards.filter((c) => (c.state ?? "new") === "new");
+  let sliceStart = Date.now();
+
+  for (let run = 0; run < SIM_RUNS; run++) {
+    const rand = seededRandom(run + 1);
+    const live = started.map((c) => ({ ...c }));
+    let next = 0;
+
+    for (let d = 0; d < bounds.length; d++) {
+      if (Date.now() - sliceStart > SLICE_MS) {
+        await nextTask();
+        if (token.cancelled) return null;
+        sliceStart = Date.now();
+      }
+      const { start, end } = bounds[d];
+      const fresh = unseen.slice(next, next + newPerDay);
+      next += fresh.length;
+      for (const c of fresh) live.push({ ...c, due: start });
+      totals[d].fresh += fresh.length;
+
+      for (let i = 0; i < live.length; i++) {
+        let c = live[i];
+        for (let n = 0; n < MAX_SAME_DAY && c.due < end; n++) {
+          if (c.state !== "new") totals[d].reviews += 1;
+          c = schedulerFor(c).review(c, rand() < recall ? "known" : "again", Math.max(start, c.due));
+        }
+        live[i] = c;
+      }
+    }
+  }
+
+  return {
+    days: totals.map((t) => ({ ...t, reviews: t.reviews / SIM_RUNS, fresh: t.fresh / SIM_RUNS })),
+    unseen: unseen.length,
+    introduced: Math.min(unseen.length, newPerDay * days),
+  };
+}
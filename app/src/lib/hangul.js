@@ -0,0 +1,187 @@
+const SYLLABLE_BASE = 0xac00;
+const SYLLABLE_LAST = 0xd7a3;
+
+export const CHO = ["ㄱ", "ㄲ", "ㄴ", "ㄷ", "ㄸ", "ㄹ", "ㅁ", "ㅂ", "ㅃ", "ㅅ", "ㅆ", "ㅇ", "ㅈ", "ㅉ", "ㅊ", "ㅋ", "ㅌ", "ㅍ", "ㅎ"];
+export const JUNG = ["ㅏ", "ㅐ", "ㅑ", "ㅒ", "ㅓ", "ㅔ", "ㅕ", "ㅖ", "ㅗ", "ㅘ", "ㅙ", "ㅚ", "ㅛ", "ㅜ", "ㅝ", "ㅞ", "ㅟ", "ㅠ", "ㅡ", "ㅢ", "ㅣ"];
+export const JONG = ["", "ㄱ", "ㄲ", "ㄳ", "ㄴ", "ㄵ", "ㄶ", "ㄷ", "ㄹ", "ㄺ", "ㄻ", "ㄼ", "ㄽ", "ㄾ", "ㄿ", "ㅀ", "ㅁ", "ㅂ", "ㅄ", "ㅅ", "ㅆ", "ㅇ", "ㅈ", "ㅊ", "ㅋ", "ㅌ", "ㅍ", "ㅎ"];
+
+export function isSyllable(ch) {
+  const code = ch?.charCodeAt(0);
+  return code >= SYLLABLE_BASE && code <= SYLLABLE_LAST;
+}
+
+export function decompose(ch) {
+  if (!isSyllable(ch)) return null;
+  const n = ch.charCodeAt(0) - SYLLABLE_BASE;
+  return { cho: CHO[Math.floor(n / 588)], jung: JUNG[Math.floor((n % 588) / 28)], jong: JONG[n % 28] };
+}
+
+export function compose({ cho, jung, jong = "" }) {
+  const i = CHO.indexOf(cho);
+  const j = JUNG.indexOf(jung);
+  const k = JONG.indexOf(jong);
+  if (i < 0 || j < 0 || k < 0) return "";
+  return String.fromCharCode(SYLLABLE_BASE + i * 588 + j * 28 + k);
+}
+
+// 초성 of every syllable; other characters pass through.
+export function initials(s) {
+  return [...String(s ?? "")].map((ch) => decompose(ch)?.cho ?? ch).join("");
+}
+
+export function stripSenseSuffix(word) {
+  const s = String(word ?? "").trim();
+  return s.replace(/([가-힣])\d{2}$/, "$1");
+}
+
+export function normalizeAnswer(s) {
+  return stripSenseSuffix(String(s ?? "").trim())
+    .replace(/\s+/g, "")
+    .toLowerCase();
+}
+
+// Pairs learners commonly mix up; each costs less than a full jamo error.
+function pairCosts(groups) {
+  const out = new Map();
+  for (const [members, cost] of groups) {
+    for (const a of members) {
+      for (const b of members) {
+        if (a !== b) out.set(a + b, Math.min(cost, out.get(a + b) ?? 1));
+      }
+    }
+  }
+  return out;
+}
+
+const CHO_COSTS = pairCosts([
+  [["ㄱ", "ㄲ"], 0.3],
+  [["ㄷ", "ㄸ"], 0.3],
+  [["ㅂ", "ㅃ"], 0.3],
+  [["ㅅ", "ㅆ"], 0.3],
+  [["ㅈ", "ㅉ"], 0.3],
+  [["ㄱ", "ㅋ"], 0.4],
+  [["ㄷ", "ㅌ"], 0.4],
+  [["ㅂ", "ㅍ"], 0.4],
+  [["ㅈ", "ㅊ"], 0.4],
+  [["ㄴ", "ㄹ"], 0.5],
+]);
+
+const JUNG_COSTS = pairCosts([
+  [["ㅐ", "ㅔ"], 0.2],
+  [["ㅒ", "ㅖ"], 0.2],
+  [["ㅙ", "ㅞ", "ㅚ"], 0.2],
+  [["ㅓ", "ㅗ"], 0.6],
+  [["ㅕ", "ㅛ"], 0.6],
+  [["ㅜ", "ㅡ"], 0.6],
+  [["ㅢ", "ㅣ"], 0.4],
+  [["ㅘ", "ㅏ"], 0.6],
+  [["ㅝ", "ㅓ"], 0.6],
+]);
+
+// 받침 that sound the same at the end of a syllable, plus a compound 받침
+// against its components (값 vs 갑, 닭 vs 닥).
+const JONG_COSTS = pairCosts([
+  [["ㄱ", "ㄲ", "ㅋ", "ㄳ", "ㄺ"], 0.3],
+  [["ㄷ", "ㅅ", "ㅆ", "ㅈ", "ㅊ", "ㅌ", "ㅎ"], 0.3],
+  [["ㅂ", "ㅍ", "ㅄ", "ㄿ"], 0.3],
+  [["ㄴ", "ㄵ", "ㄶ"], 0.3],
+  [["ㄹ", "ㄼ", "ㄽ", "ㄾ", "ㅀ"], 0.3],
+  [["ㅁ", "ㄻ"], 0.3],
+  [["ㄹ", "ㄺ", "ㄻ", "ㄼ"], 0.4],
+]);
+
+const MISSING_JONG_COST = 0.6;
+
+function jamoCost(table, a, b) {
+  if (a === b) return 0;
+  return table.get(a + b) ?? 1;
+}
+
+// Cost of turning syllable `b` into `a`, with which parts differ. Capped at 1
+// so a completely wrong syllable costs the same as a missing one.
+export function syllableDiff(a, b) {
+  if (a === b) return { cost: 0, parts: null };
+  const x = decompose(a);
+  const y = decompose(b);
+  if (!x || !y) return { cost: 1, parts: null };
+
+  const cho = jamoCost(CHO_COSTS, x.cho, y.cho);
+  const jung = jamoCost(JUNG_COSTS, x.jung, y.jung);
+  const jong = x.jong === y.jong ? 0 : !x.jong || !y.jong ? MISSING_JONG_COST : jamoCost(JONG_COSTS, x.jong, y.jong);
+  return {
+    cost: Math.min(1, cho + jung + jong),
+    parts: {
+      cho: cho ? [x.cho, y.cho] : null,
+      jung: jung ? [x.jung, y.jung] : null,
+      jong: jong ? [x.jong || "∅", y.jong || "∅"] : null,
+    },
+  };
+}
+
+// Weighted edit distance over syllables, plus the alignment used for the diff.
+export function alignSyllables(typed, expected) {
+  const s = [...typed];
+  const t = [...expected];
+  const n = s.length;
+  const m = t.length;
+  const dp = Array.from({ length: n + 1 }, () => Array(m + 1).fill(0));
+  for (let i = 0; i <= n; i++) dp[i][0] = i;
+  for (let j = 0; j <= m; j++) dp[0][j] = j;
+
+  for (let i = 1; i <= n; i++) {
+    for (let j = 1; j <= m; j++) {
+      dp[i][j] = Math.min(
+        dp[i - 1][j] + 1,
+        dp[i][j - 1] + 1,
+        dp[i - 1][j - 1] + syllableDiff(s[i - 1], t[j - 1]).cost
+      );
+    }
+  }
+
+  const ops = [];
+  let i = n;
+  let j = m;
+  while (i > 0 || j > 0) {
+    if (i > 0 && j > 0) {
+      const d = syllableDiff(s[i - 1], t[j - 1]);
+      if (Math.abs(dp[i][j] - (dp[i - 1][j - 1] + d.cost)) < 1e-9) {
+        ops.push({ type: d.cost ? "sub" : "match", typed: s[i - 1], expected: t[j - 1], cost: d.cost, parts: d.parts });
+        i -= 1;
+        j -= 1;
+        continue;
+      }
+    }
+    if (i > 0 && Math.abs(dp[i][j] - (dp[i - 1][j] + 1)) < 1e-9) {
+      ops.push({ type: "extra", typed: s[i - 1], expected: "", cost: 1 });
+      i -= 1;
+    } else {
+      ops.push({ type: "missing", typed: "", expected: t[j - 1], cost: 1 });
+      j -= 1;
+    }
+  }
+  ops.reverse();
+  return { distance: dp[n][m], ops };
+}
+
+function tolerance(expected) {
+  return Math.max(0.5, 0.25 * [...expected].length);
+}
+
+// `forms` are conjugations of the answer (see conjugate.js) that count as the
+// right word in the wrong form.
+export function checkAnswer(typed, answer, { forms = [] } = {}) {
+  const t = normalizeAnswer(typed);
+  const a = normalizeAnswer(answer);
+  if (!t) return { ok: false, close: false, conjugated: false, distance: [...a].length, ops: [] };
+  if (t === a) return { ok: true, close: false, conjugated: false, distance: 0, ops: [] };
+
+  const { distance, ops } = alignSyllables(t, a);
+  const conjugated = forms.some((f) => normalizeAnswer(f) === t);
+  return {
+    ok: false,
+    close: !conjugated && distance <= tolerance(a),
+    conjugated,
+    distance,
+    ops: conjugated ? [] : ops,
+  };
+}
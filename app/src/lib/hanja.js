@@ -0,0 +1,41 @@
+import { hanjaChars } from "./cards";
+
+// Other cards sharing at least one hanja with `card`, most shared first.
+export function hanjaFamily(card, pool, limit = 8) {
+  const chars = hanjaChars(card);
+  if (!chars.length) return [];
+  return pool
+    .filter((c) => c.id !== card.id && !c.removed)
+    .map((c) => ({ card: c, shared: hanjaChars(c).filter((ch) => chars.includes(ch)) }))
+    .filter((x) => x.shared.length)
+    .sort((a, b) => b.shared.length - a.shared.length || (a.card.rank ?? Infinity) - (b.card.rank ?? Infinity))
+    .slice(0, limit);
+}
+
+// hanja character -> cards whose 풀이 contains it.
+export function buildHanjaIndex(cards) {
+  const index = new Map();
+  for (const c of cards) {
+    if (c.removed) continue;
+    for (const ch of hanjaChars(c)) {
+      const list = index.get(ch) ?? [];
+      list.push(c);
+      index.set(ch, list);
+    }
+  }
+  return index;
+}
+
+export function familyProgress(list) {
+  const known = list.filter((c) => c.state === "known").length;
+  return { known, total: list.length };
+}
+
+// A hanja counts as known once any word containing it is known.
+export function hanjaKnown(index) {
+  let known = 0;
+  for (const list of index.values()) {
+    if (list.some((c) => c.state === "known")) known += 1;
+  }
+  return { known, total: index.size };
+}
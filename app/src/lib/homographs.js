@@ -0,0 +1,86 @@
+import { POS_LABELS, englishOf, meaningOf } from "./cards";
+import { deckOf } from "./decks";
+
+// Numbered dictionary entries (가구03 家口, 가구04 家具) look identical once
+// the sense number is stripped. Each keeps its own card and schedule; these
+// helpers tell them apart on screen.
+
+export function senseNumber(card) {
+  return String(card.rawWord ?? "").match(/(\d{2})$/)?.[1] ?? null;
+}
+
+// A copy of a word in another deck is the same sense, not a new one.
+function homographKey(card) {
+  return `${deckOf(card)}\u0000${card.word}`;
+}
+
+// deck + word -> its senses, for words with more than one live card in a deck.
+export function buildHomographIndex(cards) {
+  const byWord = new Map();
+  for (const c of cards) {
+    if (c.removed) continue;
+    const key = homographKey(c);
+    const list = byWord.get(key) ?? [];
+    list.push(c);
+    byWord.set(key, list);
+  }
+  for (const [key, list] of byWord) {
+    if (list.length < 2) byWord.delete(key);
+    else list.sort((a, b) => String(a.rawWord).localeCompare(String(b.rawWord)) || (a.rank ?? 0) - (b.rank ?? 0));
+  }
+  return byWord;
+}
+
+export function sensesOf(index, card) {
+  return index.get(homographKey(card)) ?? null;
+}
+
+function posLabel(card) {
+  return POS_LABELS[card.pos]?.ko ?? card.pos;
+}
+
+// First clause of the English meaning, kept short.
+function gloss(card) {
+  const first = englishOf(card).split(/[;,(]/)[0].trim();
+  return first.length > 24 ? `${first.slice(0, 23)}…` : first;
+}
+
+// Cues that tell senses apart, from the least to the most revealing.
+const SENSE_CUES = [posLabel, (c) => c.level && `level ${c.level}`, (c) => String(c.hanja ?? "").trim(), gloss];
+
+// Which sense `card` is among `senses`: its position, and a label that tells
+// it apart while giving away as little as possible: the 품사 when that
+// differs, else the level, the 풀이 or a short gloss.
+export function senseInfo(card, senses) {
+  if (!senses || senses.length < 2) return null;
+  const index = senses.findIndex((c) => c.id === card.id);
+  const cue = SENSE_CUES.findIndex((cueOf) => {
+    const own = cueOf(card);
+    return own && senses.every((c) => c.id === card.id || cueOf(c) !== own);
+  });
+  return {
+    index,
+    count: senses.length,
+    label: cue >= 0 ? SENSE_CUES[cue](card) : `sense ${index + 1}`,
+    // The 풀이 and gloss say what the word means.
+    revealing: cue >= 2,
+  };
+}
+
+// Extra prompt text for typing mode when the meaning alone doesn't say which
+// sense is meant (two senses with the same or no 풀이).
+export function promptHint(card, senses) {
+  if (!senses) return null;
+  const prompt = meaningOf(card);
+  const clash = !prompt || senses.some((c) => c.id !== card.id && meaningOf(c) === prompt);
+  if (!clash) return null;
+  return [posLabel(card), card.level && `level ${card.level}`, prompt === englishOf(card) ? null : englishOf(card)]
+    .filter(Boolean)
+    .join(" · ");
+}
+
+// A typed sense number (가구04) has to match the card being asked.
+export function wrongSenseNumber(typed, card) {
+  const n = String(typed).trim().match(/(\d{2})$/)?.[1];
+  return Boolean(n && senseNumber(card) && n !== senseNumber(card));
+}
@@ -0,0 +1,157 @@
+import Papa from "papaparse";
+import { POS_LABELS } from "./cards";
+import { makeCard, parseRank } from "./csv";
+
+export const IMPORT_FIELDS = [
+  { id: "word", label: "Word (단어)", required: true },
+  { id: "hanja", label: "Meaning / hanja (풀이)" },
+  { id: "english", label: "English (영어)" },
+  { id: "pos", label: "Part of speech (품사)" },
+  { id: "level", label: "Level (등급)" },
+  { id: "rank", label: "Rank / ID (순위)" },
+  { id: "tags", label: "Tags" },
+  { id: "examples", label: "Examples (예문)" },
+];
+
+export const DELIMITERS = [
+  { id: "", label: "Auto-detect" },
+  { id: ",", label: "Comma" },
+  { id: "\t", label: "Tab" },
+  { id: ";", label: "Semicolon" },
+  { id: "|", label: "Pipe" },
+];
+
+const VALID_LEVELS = ["A", "B", "C"];
+
+const HEADER_GUESSES = {
+  word: ["단어", "word", "korean", "term", "front", "어휘", "표제어"],
+  hanja: ["풀이", "hanja", "한자", "meaning", "뜻", "definition", "back"],
+  english: ["영어", "english", "translation", "gloss"],
+  pos: ["품사", "pos", "part of speech"],
+  level: ["등급", "level", "grade"],
+  rank: ["순위", "rank", "id", "번호"],
+  tags: ["tags", "tag", "태그"],
+  examples: ["예문", "example", "examples", "sentence"],
+};
+
+const GUESS_ORDER = ["word", "english", "hanja", "pos", "level", "rank", "tags", "examples"];
+
+// Strict UTF-8 first (with or without BOM), then UTF-16 by BOM, then EUC-KR,
+// which is what Excel on Korean Windows saves CSVs as.
+export function decodeBuffer(buffer) {
+  const bytes = new Uint8Array(buffer);
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) return { text: new TextDecoder("utf-16le").decode(bytes), encoding: "UTF-16LE" };
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) return { text: new TextDecoder("utf-16be").decode(bytes), encoding: "UTF-16BE" };
+  try {
+    return { text: new TextDecoder("utf-8", { fatal: true }).decode(bytes), encoding: "UTF-8" };
+  } catch {
+    return { text: new TextDecoder("euc-kr").decode(bytes), encoding: "EUC-KR" };
+  }
+}
+
+export async function decodeFile(file) {
+  return decodeBuffer(await file.arrayBuffer());
+}
+
+export function parseTable(text, { delimiter = "", hasHeader = true } = {}) {
+  const res = Papa.parse(text.replace(/^\uFEFF/, ""), { delimiter, skipEmptyLines: "greedy" });
+  const data = res.data ?? [];
+  const width = Math.max(0, ...data.map((r) => r.length));
+  const headers = hasHeader && data.length ? data[0].map((h, i) => String(h).trim() || `Column ${i + 1}`) : [];
+  for (let i = headers.length; i < width; i++) headers.push(`Column ${i + 1}`);
+  return {
+    headers,
+    rows: hasHeader ? data.slice(1) : data,
+    delimiter: res.meta?.delimiter ?? delimiter,
+  };
+}
+
+// field id -> column index (or -1), matched on header names.
+export function guessMapping(headers) {
+  const lower = headers.map((h) => h.toLowerCase());
+  const used = new Set();
+  const mapping = Object.fromEntries(IMPORT_FIELDS.map((f) => [f.id, -1]));
+  // Exact header names win over partial ones, and English is tried before the
+  // generic meaning so "English meaning" lands on English.
+  for (const exact of [true, false]) {
+    for (const id of GUESS_ORDER) {
+      if (mapping[id] >= 0) continue;
+      const idx = lower.findIndex(
+        (h, i) => !used.has(i) && HEADER_GUESSES[id].some((g) => (exact ? h === g : h.includes(g)))
+      );
+      mapping[id] = idx;
+      if (idx >= 0) used.add(idx);
+    }
+  }
+  if (mapping.word < 0 && headers.length) mapping.word = 0;
+  if (mapping.hanja < 0 && mapping.english < 0 && headers.length > 1) mapping.hanja = mapping.word === 0 ? 1 : 0;
+  return mapping;
+}
+
+function countInto(map, key, row) {
+  const cur = map.get(key) ?? { count: 0, rows: [] };
+  cur.count += 1;
+  if (cur.rows.length < 5) cur.rows.push(row);
+  map.set(key, cur);
+}
+
+// Turn mapped rows into cards and a report of everything questionable.
+// Errors (no word, duplicate id) drop the row; warnings keep it.
+export function buildImport(rows, mapping, { skipWarnings = false, now = Date.now() } = {}) {
+  const report = {
+    total: rows.length,
+    emptyWords: [],
+    duplicateIds: [],
+    unknownPos: new Map(),
+    invalidLevels: new Map(),
+    invalidRanks: [],
+    skipped: 0,
+  };
+  const cards = [];
+  const seen = new Set();
+
+  rows.forEach((row, i) => {
+    const line = i + 1;
+    const fields = {};
+    for (const f of IMPORT_FIELDS) {
+      const idx = mapping[f.id];
+      fields[f.id] = idx >= 0 ? String(row[idx] ?? "").trim() : "";
+    }
+
+    if (!fields.word) {
+      report.emptyWords.push(line);
+      report.skipped += 1;
+      return;
+    }
+
+    let warned = false;
+    if (fields.pos && !POS_LABELS[fields.pos]) {
+      countInto(report.unknownPos, fields.pos, line);
+      warned = true;
+    }
+    if (fields.level && !VALID_LEVELS.includes(fields.level.toUpperCase())) {
+      countInto(report.invalidLevels, fields.level, line);
+      warned = true;
+    }
+    if (fields.rank && parseRank(fields.rank) === null) {
+      report.invalidRanks.push({ line, value: fields.rank });
+      warned = true;
+    }
+    if (warned && skipWarnings) {
+      report.skipped += 1;
+      return;
+    }
+
+    const card = makeCard(fields, now);
+    if (seen.has(card.id)) {
+      report.duplicateIds.push({ line, id: card.id });
+      report.skipped += 1;
+      return;
+    }
+    seen.add(card.id);
+    cards.push(card);
+  });
+
+  report.imported = cards.length;
+  return { cards, report };
+}
@@ -0,0 +1,196 @@
+import { DAY } from "./dates";
+import { englishOf, examplesOf, fieldOf } from "./cards";
+import { makeCard } from "./csv";
+import { isSyllable } from "./hangul";
+
+// Columns of our Anki notes file. The scheduling columns are plain note
+// fields to Anki (its text importer can't set intervals), but they let the file
+// round-trip back into this app with progress intact.
+export const ANKI_COLUMNS = ["Korean", "Meaning", "Hanja", "POS", "Level", "Rank", "Notes", "Interval", "Ease", "Due", "Reps", "Lapses"];
+
+function clean(value) {
+  return String(value ?? "").replace(/[\t\r\n]+/g, " ").trim();
+}
+
+function tagsOf(card) {
+  return [...(card.tags ?? []), card.level ? `level::${card.level}` : null, card.pos ? `pos::${card.pos}` : null]
+    .filter(Boolean)
+    .map((t) => t.replace(/\s+/g, "_"));
+}
+
+export function exportAnkiTsv(cards) {
+  const header = [
+    "#separator:tab",
+    "#html:false",
+    `#columns:${[...ANKI_COLUMNS, "Tags"].join("\t")}`,
+    `#tags column:${ANKI_COLUMNS.length + 1}`,
+  ];
+  const rows = cards.map((c) => {
+    const notes = [fieldOf(c, "note"), fieldOf(c, "mnemonic"), ...examplesOf(c)].filter(Boolean).join(" / ");
+    const studied = c.state && c.state !== "new";
+    return [
+      c.rawWord ?? c.word,
+      englishOf(c),
+      c.hanja,
+      c.pos,
+      c.level,
+      c.rank ?? "",
+      notes,
+      studied ? c.intervalDays ?? 0 : "",
+      studied ? Math.round((c.ease ?? 2.5) * 1000) : "",
+      studied && c.due ? new Date(c.due).toISOString().slice(0, 10) : "",
+      studied ? c.reps ?? 0 : "",
+      studied ? c.lapses ?? 0 : "",
+      tagsOf(c).join(" "),
+    ]
+      .map(clean)
+      .join("\t");
+  });
+  return [...header, ...rows].join("\n") + "\n";
+}
+
+function stripHtml(s) {
+  return String(s ?? "")
+    .replace(/<br\s*\/?>/gi, " ")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .trim();
+}
+
+function hasHangul(s) {
+  return [...String(s ?? "")].some(isSyllable);
+}
+
+const SEPARATORS = { tab: "\t", comma: ",", semicolon: ";", space: " ", pipe: "|", colon: ":" };
+
+function splitRow(line, sep) {
+  if (sep !== "\t" && line.includes('"')) {
+    // Anki quotes fields that contain the separator.
+    const out = [];
+    let cur = "";
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+      const ch = line[i];
+      if (ch === '"' && line[i + 1] === '"' && quoted) {
+        cur += '"';
+        i += 1;
+      } else if (ch === '"') quoted = !quoted;
+      else if (ch === sep && !quoted) {
+        out.push(cur);
+        cur = "";
+      } else cur += ch;
+    }
+    out.push(cur);
+    return out;
+  }
+  return line.split(sep);
+}
+
+// Scheduling columns written by exportAnkiTsv restore the schedule.
+function scheduleFrom(fields, now) {
+  const ivl = Number(fields.Interval);
+  const factor = Number(fields.Ease);
+  const due = fields.Due ? Date.parse(fields.Due) : NaN;
+  if (!fields.Interval || !Number.isFinite(ivl)) return {};
+  return {
+    state: ivl > 0 ? "known" : "learning",
+    intervalDays: ivl,
+    ease: Number.isFinite(factor) && factor > 0 ? factor / 1000 : 2.5,
+    reps: Number(fields.Reps) || (ivl > 0 ? 1 : 0),
+    lapses: Number(fields.Lapses) || 0,
+    due: Number.isFinite(due) ? due : now + ivl * DAY,
+  };
+}
+
+// Anki "Notes in Plain Text" export, including files made by exportAnkiTsv.
+export function parseAnkiText(text, now = Date.now()) {
+  let sep = "\t";
+  let html = true;
+  let columns = null;
+  let tagsColumn = null;
+  const cards = [];
+  const skipped = [];
+
+  for (const raw of text.replace(/^\uFEFF/, "").split(/\r?\n/)) {
+    if (!raw.trim()) continue;
+    if (raw.startsWith("#")) {
+      const [key, ...rest] = raw.slice(1).split(":");
+      const value = rest.join(":");
+      if (key === "separator") sep = SEPARATORS[value.toLowerCase()] ?? value;
+      else if (key === "html") html = value.trim() === "true";
+      else if (key === "columns") columns = value.split(sep);
+      else if (key === "tags column") tagsColumn = Number(value) - 1;
+      continue;
+    }
+
+    const parts = splitRow(raw, sep).map((p) => (html ? stripHtml(p) : p.trim()));
+    const named = {};
+    if (columns) columns.forEach((name, i) => (named[name.trim()] = parts[i] ?? ""));
+    else [named.Korean, named.Meaning] = parts;
+
+    // Plain two-field decks often have the Korean on the back.
+    let word = named.Korean ?? parts[0];
+    let meaning = named.Meaning ?? parts[1];
+    if (!hasHangul(word) && hasHangul(meaning)) [word, meaning] = [meaning, word];
+    if (!word) {
+      skipped.push(raw);
+      continue;
+    }
+
+    const tags = tagsColumn !== null ? String(parts[tagsColumn] ?? "") : "";
+    const card = makeCard(
+      {
+        word,
+        english: hasHangul(meaning) ? "" : meaning,
+        hanja: named.Hanja ?? (hasHangul(meaning) ? meaning : ""),
+        pos: named.POS,
+        level: named.Level,
+        rank: named.Rank,
+        tags: tags
+          .split(/\s+/)
+          .filter((t) => t && !t.startsWith("level::") && !t.startsWith("pos::"))
+          .join(" "),
+      },
+      now
+    );
+    cards.push({ ...card, ...scheduleFrom(named, now) });
+  }
+  return { cards, skipped };
+}
+
+// Quizlet "Export": one term/definition pair per line, separated by a tab
+// (default), comma or semicolon.
+export function parseQuizlet(text, now = Date.now()) {
+  const cards = [];
+  const skipped = [];
+  for (const line of text.replace(/^\uFEFF/, "").split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    const sep = line.includes("\t") ? "\t" : line.includes(",") ? "," : ";";
+    const at = line.indexOf(sep);
+    let term = (at >= 0 ? line.slice(0, at) : line).trim();
+    let definition = (at >= 0 ? line.slice(at + 1) : "").trim();
+    if (!hasHangul(term) && hasHangul(definition)) [term, definition] = [definition, term];
+    if (!term) {
+      skipped.push(line);
+      continue;
+    }
+    cards.push(makeCard({ word: term, english: definition }, now));
+  }
+  return { cards, skipped };
+}
+
+export function detectDeckFormat(fileName, text) {
+  if (/^#(separator|html|columns|notetype|deck)/m.test(text.slice(0, 500))) return "anki";
+  if (/\.(tsv|txt)$/i.test(fileName) && text.split("\n", 1)[0].split("\t").length > 2) return "anki";
+  return "quizlet";
+}
+
+// Two rows for the same word would collapse onto one id; keep the first.
+export function dedupeById(cards) {
+  const seen = new Set();
+  return cards.filter((c) => (seen.has(c.id) ? false : seen.add(c.id)));
+}
@@ -0,0 +1,53 @@
+import { alignSyllables, stripSenseSuffix } from "./hangul";
+
+export const LEECH_TAG = "leech";
+
+export const LEECH_ACTIONS = [
+  { id: "suspend", label: "Suspend (study only in Leeches)" },
+  { id: "tag", label: "Tag only (keep in reviews)" },
+];
+
+export const DEFAULT_LEECH = { threshold: 8, action: "suspend" };
+
+export function isLeech(card) {
+  return Boolean(card.tags?.includes(LEECH_TAG));
+}
+
+// Fields to set on a card that just turned into a leech, or null. A card turns
+// on the lapse that reaches the threshold; once released it is tagged again on
+// its next lapse, like Anki does.
+export function leechPatch(before, after, settings = DEFAULT_LEECH) {
+  if (isLeech(before)) return null;
+  if ((after.lapses ?? 0) <= (before.lapses ?? 0) || after.lapses < settings.threshold) return null;
+  return {
+    tags: [...(before.tags ?? []), LEECH_TAG],
+    ...(settings.action === "suspend" ? { suspended: true } : {}),
+  };
+}
+
+export function releaseLeech(card) {
+  const c = { ...card, tags: (card.tags ?? []).filter((t) => t !== LEECH_TAG) };
+  delete c.suspended;
+  return c;
+}
+
+// Words spelled almost the same way, the usual reason a card keeps failing
+// (e.g. 결정 / 결석 / 걱정).
+export function similarLooking(card, pool, limit = 5) {
+  const word = stripSenseSuffix(card.word);
+  const len = [...word].length;
+  const seen = new Set();
+  return pool
+    .filter((c) => c.id !== card.id && !c.removed)
+    .map((c) => {
+      const other = stripSenseSuffix(c.word);
+      if (other === word) return { card: c, score: 0.5 };
+      const longest = Math.max(len, [...other].length);
+      return { card: c, score: 1 - alignSyllables(word, other).distance / longest };
+    })
+    .filter((x) => x.score >= 0.5)
+    .sort((a, b) => b.score - a.score)
+    .filter((x) => !seen.has(x.card.word) && seen.add(x.card.word))
+    .slice(0, limit)
+    .map((x) => x.card);
+}
@@ -0,0 +1,108 @@
+import { pickScheduling } from "./cards";
+
+// Fields that come from the CSV and may change between word list versions.
+const CONTENT_FIELDS = ["word", "rawWord", "pos", "hanja", "level", "rank", "english", "examples"];
+
+function contentChanged(prev, next) {
+  return CONTENT_FIELDS.some((f) => JSON.stringify(prev[f] ?? "") !== JSON.stringify(next[f] ?? ""));
+}
+
+// Rows match an existing card by id first, then by rawWord when exactly one
+// unclaimed card has that word. Matched cards keep their id and scheduling and
+// take the new CSV content; cards with no row left are flagged `removed`.
+// Duplicate ids and ambiguous rawWords are reported as conflicts and skipped.
+// User edits and custom cards are never touched.
+//
+// A `partial` import (an Anki or Quizlet deck) only covers some words and some
+// columns: blank fields keep the existing value, unmatched cards are left
+// alone, and a card not yet studied here takes the file's scheduling.
+export function planMerge(existing, incoming, { partial = false } = {}) {
+  const byId = new Map(existing.map((c) => [c.id, c]));
+  const byRawWord = new Map();
+  for (const c of existing) {
+    if (c.custom) continue;
+    const list = byRawWord.get(c.rawWord) ?? [];
+    list.push(c);
+    byRawWord.set(c.rawWord, list);
+  }
+
+  const incomingIds = new Set(incoming.map((r) => r.id));
+  const matched = new Map(); // existing id -> merged card
+  const seenIds = new Set();
+  const added = [];
+  const updated = [];
+  const conflicts = [];
+  let unchanged = 0;
+
+  function take(prev, row) {
+    const content = partial ? Object.fromEntries(Object.entries(row).filter(([, v]) => v !== "" && v !== null)) : row;
+    const schedule = partial && prev.state === "new" && row.state !== "new" ? row : prev;
+    const merged = { ...prev, ...content, id: prev.id, ...pickScheduling(schedule), reverse: prev.reverse };
+    delete merged.removed;
+    // Tags may be the user's own (or "leech"), so the file's tags are added, not swapped in.
+    const tags = [...new Set([...(prev.tags ?? []), ...(row.tags ?? [])])];
+    if (tags.length) merged.tags = tags;
+    matched.set(prev.id, merged);
+    if (contentChanged(prev, merged)) updated.push(merged);
+    else unchanged += 1;
+  }
+
+  for (const row of incoming) {
+    if (seenIds.has(row.id)) {
+      conflicts.push({ row, reason: "Duplicate id in file" });
+      continue;
+    }
+    seenIds.add(row.id);
+
+    const direct = byId.get(row.id);
+    if (direct && !matched.has(direct.id)) {
+      take(direct, row);
+      continue;
+    }
+
+    const candidates = (byRawWord.get(row.rawWord) ?? []).filter((c) => !matched.has(c.id) && !incomingIds.has(c.id));
+    if (candidates.length === 1) {
+      take(candidates[0], row);
+      continue;
+    }
+    if (candidates.length > 1) {
+      conflicts.push({ row, reason: `${candidates.length} existing cards share "${row.rawWord}"` });
+      continue;
+    }
+
+    added.push(row);
+  }
+
+  const removed = [];
+  const cards = existing.map((c) => {
+    const m = matched.get(c.id);
+    if (m) return m;
+    if (c.custom || partial) return c;
+    // Conflicting rows leave their candidates untouched rather than flagged.
+    if (conflicts.some((x) => x.row.rawWord === c.rawWord)) return c;
+    const flagged = { ...c, removed: true };
+    if (!c.removed) removed.push(flagged);
+    return flagged;
+  });
+
+  return {
+    cards: [...cards, ...added],
+    added,
+    updated,
+    removed,
+    conflicts,
+    unchanged,
+  };
+}
+
+// "Replace all" starts the schedule over, but user edits, recordings and custom
+// cards are content, not progress, so they carry over to the fresh deck.
+export function carryOverUserContent(existing, incoming) {
+  const own = new Map(existing.filter((c) => c.edits || c.audio).map((c) => [c.id, c]));
+  const fresh = incoming.map((c) => {
+    const prev = own.get(c.id);
+    if (!prev) return c;
+    return { ...c, ...(prev.edits && { edits: prev.edits }), ...(prev.audio && { audio: prev.audio }) };
+  });
+  return [...fresh, ...existing.filter((c) => c.custom)];
+}
@@ -0,0 +1,158 @@
+import { meaningOf } from "./cards";
+import { seededRandom, shuffled } from "./random";
+
+// A mock TOPIK vocabulary test: a sample of the deck weighted by level and
+// 품사, scored without touching any card's schedule.
+
+export const TEST_LEVELS = ["A", "B", "C"];
+
+// How the sample is spread over the NIKL levels (초급/중급/고급).
+export const TEST_TARGETS = [
+  { id: "topik1", label: "TOPIK I (1–2급)", weights: { A: 0.8, B: 0.2, C: 0 } },
+  { id: "topik2", label: "TOPIK II (3–6급)", weights: { A: 0.2, B: 0.45, C: 0.35 } },
+  { id: "even", label: "Even across A/B/C", weights: { A: 1, B: 1, C: 1 } },
+];
+
+export const TEST_FORMATS = [
+  { id: "choice", label: "Multiple choice (word → meaning)" },
+  { id: "typed", label: "Typed (meaning → word)" },
+];
+
+export const TEST_SIZES = [20, 40, 60, 100];
+
+// Words a test can ask: live cards with a level and something to show as the meaning.
+export function testPool(cards) {
+  return cards.filter((c) => !c.removed && TEST_LEVELS.includes(String(c.level ?? "").trim()) && meaningOf(c));
+}
+
+// Split `total` over keys in proportion to `weights` (largest remainder).
+function apportion(total, weights) {
+  const keys = Object.keys(weights).filter((k) => weights[k] > 0);
+  const sum = keys.reduce((s, k) => s + weights[k], 0);
+  if (!sum) return {};
+  const exact = keys.map((k) => ({ k, x: (total * weights[k]) / sum }));
+  const out = Object.fromEntries(exact.map(({ k, x }) => [k, Math.floor(x)]));
+  let left = total - Object.values(out).reduce((s, n) => s + n, 0);
+  for (const { k } of [...exact].sort((a, b) => (b.x % 1) - (a.x % 1))) {
+    if (left <= 0) break;
+    out[k] += 1;
+    left -= 1;
+  }
+  return out;
+}
+
+function groupBy(list, keyOf) {
+  const groups = {};
+  for (const item of list) (groups[keyOf(item)] ??= []).push(item);
+  return groups;
+}
+
+// Levels get the target's share of the test; within a level each 품사 gets its
+// share of that level's words. Short groups are topped up from the rest.
+export function sampleTest(pool, { size, target = TEST_TARGETS[0], seed = Date.now() } = {}) {
+  const rand = seededRandom(seed);
+  const byLevel = groupBy(pool, (c) => String(c.level).trim());
+  const levelWeights = Object.fromEntries(TEST_LEVELS.filter((l) => byLevel[l]).map((l) => [l, target.weights[l] ?? 0]));
+  const levelQuota = apportion(Math.min(size, pool.length), levelWeights);
+
+  const picked = [];
+  const spare = [];
+  for (const level of Object.keys(byLevel)) {
+    const byPos = groupBy(byLevel[level], (c) => c.pos || "?");
+    const posQuota = apportion(
+      levelQuota[level] ?? 0,
+      Object.fromEntries(Object.entries(byPos).map(([pos, list]) => [pos, list.length]))
+    );
+    for (const [pos, list] of Object.entries(byPos)) {
+      const mixed = shuffled(list, rand);
+      const n = posQuota[pos] ?? 0;
+      picked.push(...mixed.slice(0, n));
+      spare.push(...mixed.slice(n));
+    }
+  }
+
+  // Rounding can leave a level short; fill from the weighted levels first.
+  const weighted = spare.filter((c) => levelWeights[String(c.level).trim()] > 0);
+  const rest = spare.filter((c) => !(levelWeights[String(c.level).trim()] > 0));
+  for (const c of [...shuffled(weighted, rand), ...shuffled(rest, rand)]) {
+    if (picked.length >= size) break;
+    picked.push(c);
+  }
+
+  return shuffled(picked, rand);
+}
+
+function tally(answers, keyOf, order) {
+  const groups = groupBy(answers, (a) => keyOf(a.card));
+  const keys = Object.keys(groups).sort((a, b) => {
+    const ia = order ? order.indexOf(a) : -1;
+    const ib = order ? order.indexOf(b) : -1;
+    return ia - ib || groups[b].length - groups[a].length || a.localeCompare(b);
+  });
+  return keys.map((group) => ({
+    group,
+    total: groups[group].length,
+    correct: groups[group].filter((a) => a.correct).length,
+  }));
+}
+
+// `answers` is [{ card, correct, given }], one per question; unanswered
+// questions (the timer ran out) count as wrong.
+export function scoreTest(answers) {
+  return {
+    total: answers.length,
+    correct: answers.filter((a) => a.correct).length,
+    byLevel: tally(answers, (c) => String(c.level).trim(), TEST_LEVELS),
+    byPos: tally(answers, (c) => c.pos || "?"),
+    missed: answers.filter((a) => !a.correct).map((a) => a.card),
+  };
+}
+
+// Wilson score interval for `correct` out of `n`, at ~95%.
+function wilson(correct, n, z = 1.96) {
+  if (!n) return { low: 0, high: 1 };
+  const p = correct / n;
+  const denom = 1 + (z * z) / n;
+  const mid = (p + (z * z) / (2 * n)) / denom;
+  const half = (z * Math.sqrt((p * (1 - p)) / n + (z * z) / (4 * n * n))) / denom;
+  return { low: Math.max(0, mid - half), high: Math.min(1, mid + half) };
+}
+
+// Extrapolates each level's score to the whole level: how many of its words
+// you would likely know, with a range that narrows as more were asked.
+export function estimateCoverage(byLevel, pool) {
+  const sizes = groupBy(pool, (c) => String(c.level).trim());
+  return byLevel.map(({ group, correct, total }) => {
+    const size = sizes[group]?.length ?? 0;
+    const { low, high } = wilson(correct, total);
+    return {
+      level: group,
+      asked: total,
+      size,
+      pct: total ? correct / total : 0,
+      low,
+      high,
+      words: Math.round((total ? correct / total : 0) * size),
+    };
+  });
+}
+
+export function historyEntry({ score, target, format, durationMs, timedOut, now = Date.now() }) {
+  return {
+    takenAt: now,
+    target: target.id,
+    format,
+    total: score.total,
+    correct: score.correct,
+    durationMs,
+    timedOut,
+    byLevel: Object.fromEntries(score.byLevel.map((r) => [r.group, { correct: r.correct, total: r.total }])),
+  };
+}
+
+// Missed words go to the front of the review pile: due now, and new words
+// start learning instead of waiting for a new-card slot.
+export function dueNow(card, now = Date.now()) {
+  if (!card.state || card.state === "new") return { ...card, state: "learning", due: now, intervalDays: 0 };
+  return { ...card, due: Math.min(card.due ?? now, now) };
+}
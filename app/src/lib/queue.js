@@ -0,0 +1,59 @@
+import { dayKey } from "./dates";
+import { hashString } from "./random";
+
+export const NEW_ORDERS = [
+  { id: "rank", label: "By rank (순위)" },
+  { id: "level", label: "By level (A → B → C)" },
+  { id: "random", label: "Random" },
+];
+
+export const DEFAULT_LIMITS = { newPerDay: 20, reviewsPerDay: 200, newOrder: "rank" };
+
+function isNew(card) {
+  return !card.state || card.state === "new";
+}
+
+function byRank(a, b) {
+  return (a.rank ?? Infinity) - (b.rank ?? Infinity);
+}
+
+const NEW_SORTERS = {
+  rank: byRank,
+  level: (a, b) => String(a.level || "Z").localeCompare(String(b.level || "Z")) || byRank(a, b),
+  // Stable per-card key, so random order doesn't reshuffle on every render.
+  random: (a, b) => hashString(a.id) - hashString(b.id),
+};
+
+// How many new cards were introduced and how many reviews were done today.
+export function doneToday(reviewLog, now = Date.now()) {
+  const today = dayKey(now);
+  let newCards = 0;
+  let reviews = 0;
+  for (const e of reviewLog) {
+    if (dayKey(e.ts) !== today) continue;
+    const prevState = e.prevState ?? (e.prevInterval > 0 ? "known" : "learning");
+    if (prevState === "new") newCards += 1;
+    else if (prevState === "known") reviews += 1;
+  }
+  return { newCards, reviews };
+}
+
+// Today's study queue: learning cards that are due, then due reviews (up to the
+// review limit), then new cards in the chosen order (up to the new-card limit).
+export function buildStudyQueue(cards, { limits = DEFAULT_LIMITS, done = { newCards: 0, reviews: 0 }, now = Date.now() } = {}) {
+  const learning = cards
+    .filter((c) => c.state === "learning" && (c.due ?? 0) <= now)
+    .sort((a, b) => (a.due ?? 0) - (b.due ?? 0));
+
+  const review = cards
+    .filter((c) => c.state === "known" && (c.due ?? 0) <= now)
+    .sort((a, b) => (a.due ?? 0) - (b.due ?? 0))
+    .slice(0, Math.max(0, limits.reviewsPerDay - done.reviews));
+
+  const fresh = cards
+    .filter(isNew)
+    .sort(NEW_SORTERS[limits.newOrder] ?? byRank)
+    .slice(0, Math.max(0, limits.newPerDay - done.newCards));
+
+  return { learning, review, fresh, queue: [...learning, ...review, ...fresh] };
+}
@@ -0,0 +1,132 @@
+import { DAY, dayKey, startOfDay } from "./dates";
+
+// Longest gap between showing a card and grading it that still counts as study
+// time; anything longer means the tab was left open.
+const MAX_REVIEW_MS = 2 * 60 * 1000;
+
+export function makeLogEntry({ card, before, after, grade, typing, direction = "forward", durationMs, now = Date.now() }) {
+  return {
+    id: `${now}-${Math.random().toString(36).slice(2, 8)}`,
+    cardId: card.id,
+    grade,
+    ts: now,
+    prevState: before.state ?? "new",
+    prevInterval: before.intervalDays ?? 0,
+    newInterval: after.intervalDays ?? 0,
+    newState: after.state,
+    nextDue: after.due,
+    typing: Boolean(typing),
+    direction,
+    durationMs: Math.max(0, Math.min(durationMs ?? 0, MAX_REVIEW_MS)),
+    level: card.level || "?",
+    pos: card.pos || "?",
+  };
+}
+
+export function isCorrect(entry) {
+  return entry.grade !== "again";
+}
+
+export function countsByDay(log) {
+  const out = new Map();
+  for (const e of log) {
+    const k = dayKey(e.ts);
+    const cur = out.get(k) ?? { reviews: 0, correct: 0, ms: 0 };
+    cur.reviews += 1;
+    if (isCorrect(e)) cur.correct += 1;
+    cur.ms += e.durationMs ?? 0;
+    out.set(k, cur);
+  }
+  return out;
+}
+
+// Consecutive days with at least one review, ending today (or yesterday if
+// today hasn't been studied yet).
+export function currentStreak(byDay, now = Date.now()) {
+  let day = startOfDay(now);
+  if (!byDay.has(dayKey(day))) day -= DAY;
+  let streak = 0;
+  while (byDay.has(dayKey(day))) {
+    streak += 1;
+    day = startOfDay(day - DAY / 2);
+  }
+  return streak;
+}
+
+export function longestStreak(byDay) {
+  const days = [...byDay.keys()].sort();
+  let best = 0;
+  let run = 0;
+  let prev = null;
+  for (const k of days) {
+    const ts = new Date(`${k}T12:00:00`).getTime();
+    run = prev !== null && Math.round((ts - prev) / DAY) === 1 ? run + 1 : 1;
+    best = Math.max(best, run);
+    prev = ts;
+  }
+  return best;
+}
+
+// Week-aligned (Sunday start) grid of the last `weeks` weeks for the heatmap.
+export function heatmapWeeks(byDay, weeks = 26, now = Date.now()) {
+  const today = startOfDay(now);
+  const firstSunday = startOfDay(today - (new Date(today).getDay() + (weeks - 1) * 7) * DAY + DAY / 2);
+  const cols = [];
+  for (let w = 0; w < weeks; w++) {
+    const col = [];
+    for (let d = 0; d < 7; d++) {
+      const ts = startOfDay(firstSunday + (w * 7 + d) * DAY + DAY / 2);
+      const key = dayKey(ts);
+      col.push({ key, future: ts > today, reviews: byDay.get(key)?.reviews ?? 0 });
+    }
+    cols.push(col);
+  }
+  return cols;
+}
+
+export function heatLevel(reviews) {
+  if (!reviews) return 0;
+  if (reviews < 10) return 1;
+  if (reviews < 30) return 2;
+  if (reviews < 80) return 3;
+  return 4;
+}
+
+// Retention = share of non-"again" answers on cards that had already
+// graduated (prevInterval > 0), bucketed per week for each group.
+export function retentionByGroup(log, field, weeks = 8, now = Date.now()) {
+  const end = startOfDay(now) + DAY;
+  const start = end - weeks * 7 * DAY;
+  const groups = new Map();
+
+  for (const e of log) {
+    if (e.ts < start || e.ts >= end || !(e.prevInterval > 0)) continue;
+    const g = e[field] || "?";
+    const week = Math.floor((e.ts - start) / (7 * DAY));
+    const row = groups.get(g) ?? Array.from({ length: weeks }, () => ({ reviews: 0, correct: 0 }));
+    row[week].reviews += 1;
+    if (isCorrect(e)) row[week].correct += 1;
+    groups.set(g, row);
+  }
+
+  const labels = Array.from({ length: weeks }, (_, i) => dayKey(start + i * 7 * DAY).slice(5));
+  const rows = [...groups.entries()]
+    .map(([group, cells]) => {
+      const reviews = cells.reduce((n, c) => n + c.reviews, 0);
+      const correct = cells.reduce((n, c) => n + c.correct, 0);
+      return { group, cells, reviews, pct: reviews ? Math.round((correct / reviews) * 100) : null };
+    })
+    .sort((a, b) => b.reviews - a.reviews);
+
+  return { labels, rows };
+}
+
+export function recentDays(byDay, days = 30, now = Date.now()) {
+  const today = startOfDay(now);
+  const out = [];
+  for (let i = days - 1; i >= 0; i--) {
+    const key = dayKey(today - i * DAY + DAY / 2);
+    out.push({ key, ...(byDay.get(key) ?? { reviews: 0, correct: 0, ms: 0 }) });
+  }
+  return out;
+}
@@ -0,0 +1,98 @@
+import { DAY } from "../dates";
+import { DEFAULT_WEIGHTS, nextMemory, retrievability } from "./fsrs";
+
+export const MIN_FIT_REVIEWS = 200;
+
+const RATING = { again: 1, learning: 2, known: 3 };
+const BOUNDS = [
+  [0.1, 100], [0.1, 100], [0.1, 100], [0.1, 100],
+  [1, 10], [0.1, 5], [0.1, 5], [0, 0.5],
+  [0, 3], [0, 0.8], [0.01, 3],
+  [0.5, 5], [0.01, 0.3], [0.01, 0.9], [0.01, 3],
+  [0, 1], [1, 5],
+];
+
+// Per-card review sequences that start from a fresh card (prevInterval 0), so
+// the replay sees the same history FSRS would have.
+function sequences(log) {
+  const byCard = new Map();
+  for (const e of log) {
+    if (!RATING[e.grade]) continue;
+    const key = `${e.cardId}|${e.direction ?? "forward"}`;
+    const list = byCard.get(key) ?? [];
+    list.push(e);
+    byCard.set(key, list);
+  }
+  const out = [];
+  for (const list of byCard.values()) {
+    list.sort((a, b) => a.ts - b.ts);
+    if ((list[0].prevInterval ?? 0) === 0 && list.length > 1) out.push(list);
+  }
+  return out;
+}
+
+function logLoss(w, seqs) {
+  let loss = 0;
+  let n = 0;
+  for (const seq of seqs) {
+    let memory = null;
+    let last = null;
+    for (const e of seq) {
+      const elapsed = last === null ? 0 : (e.ts - last) / DAY;
+      if (memory && elapsed >= 1) {
+        const r = Math.min(0.9999, Math.max(0.0001, retrievability(elapsed, memory.stability)));
+        loss -= e.grade === "again" ? Math.log(1 - r) : Math.log(r);
+        n += 1;
+      }
+      memory = nextMemory(w, memory, RATING[e.grade], elapsed);
+      last = e.ts;
+    }
+  }
+  return { loss: n ? loss / n : 0, n };
+}
+
+export function countFitReviews(log) {
+  return logLoss(DEFAULT_WEIGHTS, sequences(log)).n;
+}
+
+// Coordinate search over the weights, minimising the log loss of FSRS's recall
+// predictions against what actually happened in the review log.
+export function fitFsrsWeights(log, start = DEFAULT_WEIGHTS, { maxPasses = 20 } = {}) {
+  const seqs = sequences(log);
+  const initial = logLoss(start, seqs);
+  if (initial.n < MIN_FIT_REVIEWS) {
+    throw new Error(`Need at least ${MIN_FIT_REVIEWS} spaced reviews to fit FSRS (have ${initial.n}).`);
+  }
+
+  let w = [...start];
+  let best = initial.loss;
+  let step = 0.2;
+
+  for (let pass = 0; pass < maxPasses && step >= 0.01; pass++) {
+    let improved = false;
+    for (let i = 0; i < w.length; i++) {
+      for (const dir of [1, -1]) {
+        const [lo, hi] = BOUNDS[i];
+        const candidate = [...w];
+        const delta = Math.max(Math.abs(w[i]), 0.05) * step * dir;
+        candidate[i] = Math.min(hi, Math.max(lo, w[i] + delta));
+        if (candidate[i] === w[i]) continue;
+        const { loss } = logLoss(candidate, seqs);
+        if (loss < best) {
+          best = loss;
+          w = candidate;
+          improved = true;
+          break;
+        }
+      }
+    }
+    if (!improved) step /= 2;
+  }
+
+  return {
+    weights: w.map((x) => Math.round(x * 10000) / 10000),
+    loss: best,
+    initialLoss: initial.loss,
+    reviews: initial.n,
+  };
+}
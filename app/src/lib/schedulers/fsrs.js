@@ -0,0 +1,141 @@
+import { DAY, addMinutes, addDays } from "../dates";
+import { DEFAULT_OPTIONS, normalizeOptions, fuzzInterval, nextStep } from "./options";
+
+// FSRS-4.5 default weights.
+export const DEFAULT_WEIGHTS = [
+  0.4872, 1.4003, 3.7145, 13.8206, 5.1618, 1.2298, 0.8975, 0.031, 1.6474, 0.1367, 1.0461, 2.1072, 0.0793, 0.3246,
+  1.587, 0.2272, 2.8755,
+];
+export const DEFAULT_RETENTION = 0.9;
+
+const DECAY = -0.5;
+const FACTOR = 19 / 81;
+const MAX_INTERVAL = 36500;
+
+// Our three buttons map onto FSRS ratings Again / Hard / Good.
+const RATING = { again: 1, learning: 2, known: 3 };
+
+function clamp(x, lo, hi) {
+  return Math.min(hi, Math.max(lo, x));
+}
+
+export function retrievability(elapsedDays, stability) {
+  return Math.pow(1 + (FACTOR * elapsedDays) / stability, DECAY);
+}
+
+export function intervalFor(stability, retention = DEFAULT_RETENTION) {
+  const days = (stability / FACTOR) * (Math.pow(retention, 1 / DECAY) - 1);
+  return clamp(Math.round(days), 1, MAX_INTERVAL);
+}
+
+function initDifficulty(w, rating) {
+  return clamp(w[4] - (rating - 3) * w[5], 1, 10);
+}
+
+function nextDifficulty(w, d, rating) {
+  const next = d - w[6] * (rating - 3);
+  return clamp(w[7] * w[4] + (1 - w[7]) * next, 1, 10);
+}
+
+function recallStability(w, d, s, r, rating) {
+  const hardPenalty = rating === 2 ? w[15] : 1;
+  return s * (Math.exp(w[8]) * (11 - d) * Math.pow(s, -w[9]) * (Math.exp(w[10] * (1 - r)) - 1) * hardPenalty + 1);
+}
+
+function forgetStability(w, d, s, r) {
+  const next = w[11] * Math.pow(d, -w[12]) * (Math.pow(s + 1, w[13]) - 1) * Math.exp(w[14] * (1 - r));
+  return Math.min(next, s);
+}
+
+// Pure memory-state transition shared by live scheduling and parameter fitting.
+// `memory` is null for a card FSRS has never seen. Same-day repeats only move
+// difficulty and (on a lapse) cap stability, as in FSRS-4.5.
+export function nextMemory(w, memory, rating, elapsedDays) {
+  if (!memory) {
+    return { stability: w[rating - 1], difficulty: initDifficulty(w, rating) };
+  }
+  const { stability: s, difficulty: d } = memory;
+  const difficulty = nextDifficulty(w, d, rating);
+  const r = retrievability(Math.max(0, elapsedDays), s);
+
+  if (elapsedDays < 1) {
+    const stability = rating === 1 ? Math.min(s, forgetStability(w, d, s, r)) : s;
+    return { stability: Math.max(0.01, stability), difficulty };
+  }
+  const stability = rating === 1 ? forgetStability(w, d, s, r) : recallStability(w, d, s, r, rating);
+  return { stability: clamp(stability, 0.01, MAX_INTERVAL), difficulty };
+}
+
+function lastReviewOf(card) {
+  if (card.lastReview) return card.lastReview;
+  // Cards from before the review timestamp existed: back off from the due date.
+  if (card.due && card.intervalDays > 0) return card.due - card.intervalDays * DAY;
+  return null;
+}
+
+export function createFsrs({ weights = DEFAULT_WEIGHTS, retention = DEFAULT_RETENTION, options = DEFAULT_OPTIONS } = {}) {
+  const w = weights?.length === DEFAULT_WEIGHTS.length ? weights : DEFAULT_WEIGHTS;
+  const o = normalizeOptions(options);
+
+  function review(card, action, now = Date.now()) {
+    const c = { ...card };
+    const rating = RATING[action] ?? 3;
+    c.reps ??= 0;
+    c.lapses ??= 0;
+    c.state ??= "new";
+
+    const memory = c.stability != null && c.difficulty != null ? { stability: c.stability, difficulty: c.difficulty } : null;
+    const last = lastReviewOf(c);
+    const elapsed = last ? (now - last) / DAY : 0;
+    const next = nextMemory(w, memory, rating, elapsed);
+
+    c.stability = next.stability;
+    c.difficulty = next.difficulty;
+    c.lastReview = now;
+    c.scheduler = "fsrs";
+
+    if (rating === 1) {
+      c.lapses += 1;
+      c.reps = 0;
+      c.intervalDays = 0;
+      c.learningStep = nextStep(card, "again", o.learningSteps);
+      c.state = "learning";
+      c.due = addMinutes(now, o.learningSteps[c.learningStep]);
+      return c;
+    }
+
+    c.reps += 1;
+    // New and learning cards graded Learning go through the deck's steps;
+    // a card that was known gets a (shorter) interval from its stability.
+    if (rating === 2 && card.state !== "known") {
+      c.intervalDays = 0;
+      c.learningStep = nextStep(card, "learning", o.learningSteps);
+      c.state = "learning";
+      c.due = addMinutes(now, o.learningSteps[c.learningStep]);
+      return c;
+    }
+    delete c.learningStep;
+    c.intervalDays = Math.min(fuzzInterval(intervalFor(c.stability, retention), c, o.fuzzPercent), o.maxIntervalDays);
+    c.state = rating === 2 ? "learning" : "known";
+    c.due = addDays(now, c.intervalDays);
+    return c;
+  }
+
+  // SM-2 cards: the current interval is the best stability estimate we have,
+  // and ease maps onto difficulty (2.5 → 4, 1.3 → 10). Due dates are kept.
+  function fromCard(card) {
+    if (card.scheduler === "fsrs" && card.stability != null) return card;
+    if (card.state === "new" || !card.state) return { ...card, scheduler: "fsrs" };
+    const stability = card.intervalDays > 0 ? card.intervalDays : card.stability ?? w[0];
+    const difficulty = card.ease != null ? clamp(10 - (card.ease - 1.3) * 5, 1, 10) : card.difficulty ?? w[4];
+    return {
+      ...card,
+      stability,
+      difficulty: Math.round(difficulty * 100) / 100,
+      lastReview: lastReviewOf(card) ?? Date.now(),
+      scheduler: "fsrs",
+    };
+  }
+
+  return { id: "fsrs", name: "FSRS", review, fromCard };
+}
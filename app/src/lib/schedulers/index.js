@@ -0,0 +1,41 @@
+import { sm2, createSm2 } from "./sm2";
+import { createFsrs } from "./fsrs";
+import { viewFor, writeBack } from "../cards";
+
+// A scheduler is { id, name, review(card, grade, now), fromCard(card, now) }.
+// `grade` is "again" | "learning" | "known". `review` returns the updated card
+// with state/due/intervalDays/reps/lapses set; `fromCard` adopts a card last
+// scheduled by another algorithm without resetting its progress.
+export const SCHEDULERS = [
+  { id: "sm2", name: "SM-2" },
+  { id: "fsrs", name: "FSRS" },
+];
+
+export const DEFAULT_SCHEDULER = { id: "sm2", fsrsWeights: null, retention: 0.9 };
+
+// `options` are the deck's scheduling options (see ./options); without them
+// the defaults apply.
+export function getScheduler(settings = DEFAULT_SCHEDULER, options = null) {
+  if (settings.id === "fsrs") {
+    return createFsrs({ weights: settings.fsrsWeights, retention: settings.retention, options: options ?? undefined });
+  }
+  return options ? createSm2(options) : sm2;
+}
+
+export function convertCards(cards, scheduler, now = Date.now()) {
+  return cards.map((card) => {
+    const c = scheduler.fromCard(card, now);
+    if (!card.reverse) return c;
+    return writeBack(c, "reverse", scheduler.fromCard(viewFor(card, "reverse"), now));
+  });
+}
+
+export function resetScheduling(card, now = Date.now()) {
+  const c = { ...card, state: "new", due: now, intervalDays: 0, reps: 0, lapses: 0, ease: 2.5 };
+  delete c.stability;
+  delete c.difficulty;
+  delete c.lastReview;
+  delete c.learningStep;
+  delete c.reverse;
+  return c;
+}
@@ -0,0 +1,112 @@
+import { hashString, seededRandom } from "../random";
+
+// Scheduling options, set per deck. SM-2 uses all of them; FSRS works out
+// intervals and difficulty itself, so only the learning steps, the maximum
+// interval and fuzz apply to it. Options only shape the next review: cards
+// keep their state, and an ease or interval outside the new bounds is pulled
+// back in when the card is next graded.
+export const DEFAULT_OPTIONS = {
+  learningSteps: [10, 360], // minutes
+  graduatingDays: 1,
+  secondDays: 3,
+  startEase: 2.5,
+  minEase: 1.3,
+  maxEase: 5,
+  maxIntervalDays: 36500,
+  lapsePenalty: 0.2,
+  easyBonus: 0.05,
+  fuzzPercent: 0,
+};
+
+// Learning steps: at most MAX_STEPS, each within STEP_LIMITS minutes.
+export const MAX_STEPS = 10;
+export const STEP_LIMITS = [1, 7 * 1440];
+
+export const OPTION_LIMITS = {
+  graduatingDays: [1, 30],
+  secondDays: [1, 365],
+  startEase: [1.3, 5],
+  minEase: [1.1, 3],
+  maxEase: [1.3, 10],
+  maxIntervalDays: [1, 36500],
+  lapsePenalty: [0, 1],
+  easyBonus: [0, 0.5],
+  fuzzPercent: [0, 25],
+};
+
+export const FSRS_OPTIONS = ["learningSteps", "maxIntervalDays", "fuzzPercent"];
+
+function clamp(x, lo, hi) {
+  return Math.min(hi, Math.max(lo, x));
+}
+
+const STEP_UNITS = { m: 1, h: 60, d: 1440 };
+
+// "1m 10m 1h" (a bare number is minutes) -> [1, 10, 60], or null if any part
+// isn't a duration.
+export function parseSteps(text) {
+  const parts = String(text ?? "").split(/[\s,]+/).filter(Boolean);
+  const steps = [];
+  for (const part of parts) {
+    const m = /^(\d+(?:\.\d+)?)([mhd]?)$/i.exec(part);
+    if (!m) return null;
+    steps.push(Number(m[1]) * STEP_UNITS[(m[2] || "m").toLowerCase()]);
+  }
+  return steps.length ? steps : null;
+}
+
+export function formatSteps(steps) {
+  return steps
+    .map((n) => (n % 1440 === 0 ? `${n / 1440}d` : n % 60 === 0 ? `${n / 60}h` : `${n}m`))
+    .join(" ");
+}
+
+// Options saved before steps were a list had one "again" step in minutes and
+// one "learning" step in hours.
+function stepsFrom(raw) {
+  if (Array.isArray(raw?.learningSteps)) {
+    const steps = raw.learningSteps.map(Number).filter(Number.isFinite);
+    if (steps.length) return steps;
+  }
+  const again = Number(raw?.againMinutes);
+  const hours = Number(raw?.learningHours);
+  if (!Number.isFinite(again) && !Number.isFinite(hours)) return DEFAULT_OPTIONS.learningSteps;
+  const [first, second] = DEFAULT_OPTIONS.learningSteps;
+  return [Number.isFinite(again) ? again : first, Number.isFinite(hours) ? hours * 60 : second];
+}
+
+// The learning step a grade puts a card on: Again goes back to the first,
+// Learning moves one on (repeating the last). A card that isn't in learning
+// yet counts as having done the first step.
+export function nextStep(card, action, steps) {
+  const from = action === "again" ? -1 : card.state === "learning" ? card.learningStep ?? 0 : 0;
+  return Math.max(0, Math.min(from + 1, steps.length - 1));
+}
+
+// Fills in defaults and pulls every value into range, so stored or imported
+// options can never produce a NaN due date or an interval that shrinks.
+export function normalizeOptions(raw) {
+  const o = {};
+  o.learningSteps = stepsFrom(raw)
+    .slice(0, MAX_STEPS)
+    .map((n) => clamp(Math.round(n), ...STEP_LIMITS));
+  for (const [key, [lo, hi]] of Object.entries(OPTION_LIMITS)) {
+    const n = Number(raw?.[key]);
+    o[key] = clamp(Number.isFinite(n) ? n : DEFAULT_OPTIONS[key], lo, hi);
+  }
+  o.maxEase = Math.max(o.maxEase, o.minEase);
+  o.startEase = clamp(o.startEase, o.minEase, o.maxEase);
+  o.secondDays = Math.max(o.secondDays, o.graduatingDays);
+  o.maxIntervalDays = Math.max(o.maxIntervalDays, o.graduatingDays);
+  return o;
+}
+
+// Spreads intervals of 3+ days by up to ±fuzzPercent so cards learned together
+// don't stay due together. Seeded by the card, so a grade always gives the
+// same interval.
+export function fuzzInterval(days, card, percent) {
+  if (!percent || days < 3) return days;
+  const rand = seededRandom(hashString(`${card.id}:${card.reps}:${card.lapses}`));
+  const spread = Math.max(1, Math.round((days * percent) / 100));
+  return Math.max(1, days + Math.round((rand() * 2 - 1) * spread));
+}
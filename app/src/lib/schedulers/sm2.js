@@ -0,0 +1,69 @@
+import { addMinutes, addDays } from "../dates";
+import { DEFAULT_OPTIONS, normalizeOptions, fuzzInterval, nextStep } from "./options";
+
+export const MIN_EASE = 1.3;
+const START_EASE = 2.5;
+
+function createReview(options) {
+  const o = normalizeOptions(options);
+  const clampEase = (ease) => Math.min(o.maxEase, Math.max(o.minEase, ease));
+
+  return function review(card, action, now = Date.now()) {
+    let c = { ...card };
+
+    c.ease = clampEase(c.ease ?? o.startEase);
+    c.intervalDays ??= 0;
+    c.reps ??= 0;
+    c.lapses ??= 0;
+    c.state ??= "new";
+    c.due ??= now;
+    c.lastReview = now;
+    c.scheduler = "sm2";
+
+    if (action === "again") {
+      c.lapses += 1;
+      c.reps = 0;
+      c.intervalDays = 0;
+      c.ease = clampEase(c.ease - o.lapsePenalty);
+      c.learningStep = nextStep(card, action, o.learningSteps);
+      c.state = "learning";
+      c.due = addMinutes(now, o.learningSteps[c.learningStep]);
+      return c;
+    }
+
+    if (action === "learning") {
+      c.learningStep = nextStep(card, action, o.learningSteps);
+      c.state = "learning";
+      c.reps = Math.min(c.reps + 1, 2);
+      c.due = addMinutes(now, o.learningSteps[c.learningStep]);
+      return c;
+    }
+
+    c.reps += 1;
+
+    if (c.intervalDays <= 0) c.intervalDays = o.graduatingDays;
+    else if (c.intervalDays <= o.graduatingDays) c.intervalDays = o.secondDays;
+    else c.intervalDays = fuzzInterval(Math.round(c.intervalDays * c.ease), c, o.fuzzPercent);
+    c.intervalDays = Math.min(c.intervalDays, o.maxIntervalDays);
+
+    c.ease = clampEase(c.ease + o.easyBonus);
+    delete c.learningStep;
+    c.state = "known";
+    c.due = addDays(now, c.intervalDays);
+    return c;
+  };
+}
+
+// Cards last scheduled by FSRS carry a difficulty (1 = easy … 10 = hard) but
+// may have no ease, or a stale one; derive it so the next interval is sane.
+function fromCard(card) {
+  if (card.ease != null && card.scheduler !== "fsrs") return { ...card, scheduler: "sm2" };
+  const ease = card.difficulty != null ? MIN_EASE + (10 - card.difficulty) / 5 : START_EASE;
+  return { ...card, ease: Math.max(MIN_EASE, Math.round(ease * 100) / 100), scheduler: "sm2" };
+}
+
+export function createSm2(options = DEFAULT_OPTIONS) {
+  return { id: "sm2", name: "SM-2", review: createReview(options), fromCard };
+}
+
+export const sm2 = createSm2();
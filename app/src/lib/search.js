@@ -0,0 +1,138 @@
+import { CHO, decompose } from "./hangul";
+import { englishOf } from "./cards";
+import { isLeech } from "./leeches";
+import { HOUR, DAY } from "./dates";
+
+// Search box syntax. Words are matched against the word, hanja and English
+// meaning; a word with 초성 in it (ㄱㄱ, 사ㄱ) matches syllable by syllable.
+// `field:value` and `field<value` style terms narrow by card fields:
+//
+//   level:B  pos:동  state:known  tag:5과  is:leech  is:removed  hanja:學
+//   lapses>3  reps<=2  rank<1000  interval>=30  ease<2  due<7d  due<0
+//
+// All terms must match.
+
+export const SEARCH_HELP =
+  "Words, 초성 (ㄱㄱ) or hanja · level:B pos:동 state:known tag:x is:leech · lapses>3 rank<1000 due<7d";
+
+const TEXT_FIELDS = ["level", "pos", "state", "tag", "is", "hanja"];
+const NUMBER_FIELDS = { lapses: "lapses", reps: "reps", rank: "rank", interval: "intervalDays", ease: "ease" };
+const STATES = ["new", "learning", "known", "suspended"];
+const FLAGS = ["leech", "suspended", "custom", "tagged", "removed"];
+const SPAN_UNITS = { h: HOUR, d: DAY, w: 7 * DAY };
+
+const TERM = /^([a-z]+)(<=|>=|:|=|<|>)(.+)$/i;
+
+const COMPARE = {
+  ":": (a, b) => a === b,
+  "=": (a, b) => a === b,
+  "<": (a, b) => a < b,
+  ">": (a, b) => a > b,
+  "<=": (a, b) => a <= b,
+  ">=": (a, b) => a >= b,
+};
+
+// "7d", "12h", "2w", or a bare number of days.
+function parseSpan(value) {
+  const m = /^(-?\d+(?:\.\d+)?)([hdw]?)$/i.exec(value);
+  return m ? Number(m[1]) * SPAN_UNITS[(m[2] || "d").toLowerCase()] : null;
+}
+
+function textFilter(field, op, value) {
+  if (op !== ":" && op !== "=") return { problem: `${field} only takes ${field}:value` };
+  const v = value.toLowerCase();
+  if (field === "state" && !STATES.includes(v)) return { problem: `state is one of ${STATES.join(", ")}` };
+  if (field === "is" && !FLAGS.includes(v)) return { problem: `is: takes ${FLAGS.join(", ")}` };
+  return { field, op, value: field === "tag" || field === "hanja" ? value : v };
+}
+
+function numberFilter(field, op, value) {
+  if (field === "due") {
+    const span = parseSpan(value);
+    if (span == null) return { problem: `due needs a time such as 7d, 12h or 2w` };
+    // due:7d reads as "due within 7 days".
+    return { field, op: op === ":" || op === "=" ? "<=" : op, value: span };
+  }
+  const n = Number(value);
+  if (!Number.isFinite(n)) return { problem: `${field} needs a number` };
+  return { field, op, value: n };
+}
+
+// Splits the search text into plain words and field filters. Unknown fields
+// (e.g. a pasted URL) are searched as plain words; known fields with a bad
+// value are listed in `problems` and left out.
+export function parseQuery(text) {
+  const words = [];
+  const filters = [];
+  const problems = [];
+  for (const token of String(text ?? "").trim().split(/\s+/).filter(Boolean)) {
+    const m = TERM.exec(token);
+    const field = m?.[1].toLowerCase();
+    let parsed = null;
+    if (m && TEXT_FIELDS.includes(field)) parsed = textFilter(field, m[2], m[3]);
+    else if (m && (field === "due" || field in NUMBER_FIELDS)) parsed = numberFilter(field, m[2], m[3]);
+
+    if (!parsed) words.push(token.toLowerCase());
+    else if (parsed.problem) problems.push(parsed.problem);
+    else filters.push(parsed);
+  }
+  return { words, filters, problems };
+}
+
+export function isEmptyQuery(query) {
+  return !query.words.length && !query.filters.length;
+}
+
+function hasInitials(word) {
+  return [...word].some((ch) => CHO.includes(ch));
+}
+
+// "ㄱㄱ" matches 가구; "사ㄱ" matches 사과. Syllables must match exactly.
+export function matchesInitials(text, pattern) {
+  const chars = [...String(text ?? "")];
+  const want = [...pattern];
+  const same = (ch, q) => ch === q || (CHO.includes(q) && decompose(ch)?.cho === q);
+  for (let i = 0; i + want.length <= chars.length; i++) {
+    if (want.every((q, j) => same(chars[i + j], q))) return true;
+  }
+  return false;
+}
+
+function matchesWord(card, word) {
+  if (hasInitials(word)) return matchesInitials(card.word, word) || matchesInitials(card.rawWord, word);
+  const hay = `${card.word ?? ""} ${card.rawWord ?? ""} ${card.hanja ?? ""} ${englishOf(card)}`.toLowerCase();
+  return hay.includes(word);
+}
+
+function matchesFilter(card, { field, op, value }, now) {
+  switch (field) {
+    case "level":
+    case "pos":
+      return String(card[field] ?? "").trim().toLowerCase() === value;
+    case "state":
+      return value === "suspended" ? Boolean(card.suspended) : (card.state ?? "new") === value;
+    case "tag":
+      return (card.tags ?? []).some((t) => t.toLowerCase() === value.toLowerCase());
+    case "hanja":
+      return [...value].every((ch) => String(card.hanja ?? "").includes(ch));
+    case "is":
+      if (value === "leech") return isLeech(card);
+      if (value === "tagged") return Boolean(card.tags?.length);
+      return Boolean(card[value]);
+    case "due":
+      // New cards have no real due date yet.
+      if ((card.state ?? "new") === "new" || card.due == null) return false;
+      return COMPARE[op](card.due - now, value);
+    default: {
+      const n = card[NUMBER_FIELDS[field]];
+      if (n == null) return false;
+      return COMPARE[op](Number(n), value);
+    }
+  }
+}
+
+export function matchesQuery(card, query, now = Date.now()) {
+  return (
+    query.words.every((w) => matchesWord(card, w)) && query.filters.every((f) => matchesFilter(card, f, now))
+  );
+}
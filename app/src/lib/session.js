@@ -0,0 +1,74 @@
+// A study session: a fixed list of cards taken from the queue when it starts,
+// worked through in order. Missed cards come back a few cards later, and the
+// session ends when the list runs out or the time limit passes.
+
+export const SESSION_SIZES = [10, 20, 30, 50, 100];
+export const SESSION_MINUTES = [0, 5, 10, 15, 20, 30]; // 0 = no time limit
+export const DEFAULT_SESSION = { size: 20, minutes: 0 };
+
+// How many other cards come between a miss and its retry.
+export const REINSERT_AFTER = 3;
+
+export function startSession(queue, goal = DEFAULT_SESSION, now = Date.now()) {
+  return {
+    startedAt: now,
+    limitMs: goal.minutes * 60 * 1000,
+    order: queue.slice(0, goal.size).map((c) => c.id),
+    pos: 0,
+    log: [],
+  };
+}
+
+export function currentId(session) {
+  return session.order[session.pos] ?? null;
+}
+
+// Records an answer for the current card; a miss is queued again.
+export function recordAnswer(session, { id, correct, wasNew, now = Date.now() }) {
+  const order = [...session.order];
+  if (!correct) order.splice(Math.min(order.length, session.pos + 1 + REINSERT_AFTER), 0, id);
+  return { ...session, order, log: [...session.log, { id, correct, wasNew, ts: now }] };
+}
+
+export function moveTo(session, pos) {
+  return { ...session, pos: Math.max(0, Math.min(pos, session.order.length)) };
+}
+
+export function timeLeft(session, now = Date.now()) {
+  return session.limitMs ? session.limitMs - (now - session.startedAt) : Infinity;
+}
+
+export function sessionOver(session, now = Date.now()) {
+  return session.pos >= session.order.length || timeLeft(session, now) <= 0;
+}
+
+// A new card counts as learned when its last answer in the session was right.
+export function summarizeSession(session, endedAt = Date.now()) {
+  const last = new Map();
+  const introduced = new Set();
+  for (const a of session.log) {
+    last.set(a.id, a);
+    if (a.wasNew) introduced.add(a.id);
+  }
+  const missed = new Set(session.log.filter((a) => !a.correct).map((a) => a.id));
+  return {
+    answers: session.log.length,
+    correct: session.log.filter((a) => a.correct).length,
+    cards: last.size,
+    reviewed: [...last.keys()],
+    durationMs: endedAt - session.startedAt,
+    missed: [...missed],
+    learned: [...introduced].filter((id) => last.get(id).correct),
+    endedAt,
+  };
+}
+
+// The soonest scheduled card (learning or review) among `cards`, or null.
+export function nextDue(cards) {
+  let next = null;
+  for (const c of cards) {
+    if (c.state !== "learning" && c.state !== "known") continue;
+    if (next === null || (c.due ?? 0) < next.due) next = c;
+  }
+  return next;
+}
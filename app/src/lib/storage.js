@@ -0,0 +1,205 @@
+import { createStore, get, set, del, update, entries, values, setMany, delMany, clear } from "idb-keyval";
+import { cardProblem } from "./backup";
+
+// Deck storage. Each card is its own record in a dedicated object store, so a
+// grade rewrites one card instead of the whole deck; the card order and the UI
+// prefs are separate keys. The review log is one record per entry in a store
+// of its own, so a grade appends one record. Stats and snapshots keep their
+// own keys in the default store.
+//
+// Schema versions:
+//   1: everything (cards + prefs) in the single `topik_flashcards_v1` record.
+//   2: per-card records + `topik_card_order_v2` + `topik_prefs_v2`.
+//   3: the review log moves from the `topik_review_log_v1` array to per-entry
+//      records.
+
+export const SCHEMA_VERSION = 3;
+
+const LEGACY_KEY = "topik_flashcards_v1";
+const LEGACY_LOG_KEY = "topik_review_log_v1";
+const META_KEY = "topik_meta";
+const PREFS_KEY = "topik_prefs_v2";
+const ORDER_KEY = "topik_card_order_v2";
+// Records that failed validation, kept aside instead of thrown away.
+const QUARANTINE_KEY = "topik_quarantine_v2";
+
+export const SAVE_DELAY_MS = 400;
+
+let cardStore = null;
+function cardsDb() {
+  cardStore ??= createStore("topik-flashcards-cards", "cards");
+  return cardStore;
+}
+
+let logStore = null;
+function logDb() {
+  logStore ??= createStore("topik-flashcards-log", "entries");
+  return logStore;
+}
+
+function isRecord(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+async function quarantine(rows) {
+  if (!rows.length) return;
+  await update(QUARANTINE_KEY, (q) => [...(q ?? []), ...rows]);
+}
+
+// Each step upgrades the stored data from version N to N + 1.
+const MIGRATIONS = {
+  1: async () => {
+    const legacy = await get(LEGACY_KEY);
+    if (isRecord(legacy)) {
+      const { cards, ...prefs } = legacy;
+      const list = Array.isArray(cards) ? cards : [];
+      const good = list.filter((c, i) => !cardProblem(c, i));
+      await setMany(good.map((c) => [c.id, c]), cardsDb());
+      await set(ORDER_KEY, good.map((c) => c.id));
+      await set(PREFS_KEY, prefs);
+      await quarantine(list.filter((c, i) => cardProblem(c, i)).map((value) => ({ key: null, value })));
+    }
+    await set(META_KEY, { schemaVersion: 2 });
+    await del(LEGACY_KEY);
+  },
+  2: async () => {
+    const log = await get(LEGACY_LOG_KEY);
+    if (Array.isArray(log)) await setMany(log.filter((e) => e?.id).map((e) => [e.id, e]), logDb());
+    await set(META_KEY, { schemaVersion: 3 });
+    await del(LEGACY_LOG_KEY);
+  },
+};
+
+async function storedVersion() {
+  const meta = await get(META_KEY);
+  if (Number.isInteger(meta?.schemaVersion)) return meta.schemaVersion;
+  if ((await get(LEGACY_KEY)) !== undefined) return 1;
+  await set(META_KEY, { schemaVersion: SCHEMA_VERSION });
+  return SCHEMA_VERSION;
+}
+
+// Shared, so StrictMode's double effect doesn't run a migration twice at once.
+let migrating = null;
+
+async function migrate() {
+  let version = await storedVersion();
+  const from = version;
+  while (version < SCHEMA_VERSION) {
+    await MIGRATIONS[version]();
+    version += 1;
+  }
+  return { from, version };
+}
+
+// Loads the deck and prefs, upgrading older data first. Cards that don't
+// validate are moved to quarantine and reported in `corrupt`; the rest load.
+export async function loadState() {
+  // A failed migration is retried on the next load.
+  migrating ??= migrate().catch((err) => {
+    migrating = null;
+    throw err;
+  });
+  const { from, version } = await migrating;
+
+  const [rows, order, prefs] = await Promise.all([entries(cardsDb()), get(ORDER_KEY), get(PREFS_KEY)]);
+  const good = new Map();
+  const bad = [];
+  rows.forEach(([key, value], i) => {
+    if (cardProblem(value, i) || value.id !== key) bad.push({ key, value });
+    else good.set(key, value);
+  });
+  if (bad.length) {
+    await quarantine(bad);
+    await delMany(bad.map((b) => b.key), cardsDb());
+  }
+
+  // Stored order first; cards missing from it (an interrupted write) go last.
+  const cards = [];
+  for (const id of Array.isArray(order) ? order : []) {
+    if (!good.has(id)) continue;
+    cards.push(good.get(id));
+    good.delete(id);
+  }
+  cards.push(...good.values());
+
+  return {
+    cards,
+    prefs: isRecord(prefs) ? prefs : null,
+    corrupt: bad.length,
+    migratedFrom: from < version ? from : null,
+    newer: version > SCHEMA_VERSION,
+  };
+}
+
+// Returns save(cards), which writes only the cards that changed since the
+// last save (by reference; state updates replace changed cards) and deletes
+// the ones that are gone. Saves run one after another; a failed save is
+// reported to `onError` and leaves its cards marked unwritten so the next one
+// retries them.
+export function createCardWriter(initial = [], { onError = () => {} } = {}) {
+  let written = new Map(initial.map((c) => [c.id, c]));
+  let order = initial.map((c) => c.id);
+  let queue = Promise.resolve();
+
+  async function write(cards) {
+    const next = new Map(cards.map((c) => [c.id, c]));
+    const puts = cards.filter((c) => written.get(c.id) !== c).map((c) => [c.id, c]);
+    const dels = [...written.keys()].filter((id) => !next.has(id));
+    const ids = cards.map((c) => c.id);
+    const reordered = ids.length !== order.length || ids.some((id, i) => id !== order[i]);
+
+    if (puts.length) await setMany(puts, cardsDb());
+    if (dels.length) await delMany(dels, cardsDb());
+    if (reordered) await set(ORDER_KEY, ids);
+    written = next;
+    order = ids;
+  }
+
+  return function save(cards) {
+    queue = queue.then(() => write(cards)).catch(onError);
+    return queue;
+  };
+}
+
+export function savePrefs(prefs) {
+  return set(PREFS_KEY, prefs);
+}
+
+// Oldest first. Call after loadState, which moves an older log over.
+export async function loadReviewLog() {
+  const log = await values(logDb());
+  return log.sort((a, b) => a.ts - b.ts);
+}
+
+export function appendReview(entry) {
+  return set(entry.id, entry, logDb());
+}
+
+export function deleteReview(id) {
+  return del(id, logDb());
+}
+
+// Swaps the whole log, for a restored backup or a reset (an empty list).
+export async function replaceReviewLog(log) {
+  await clear(logDb());
+  if (log.length) await setMany(log.map((e) => [e.id, e]), logDb());
+}
+
+// Calls `fn` with the latest argument once calls stop for `ms`; `flush` runs a
+// pending call right away (used when the page is being hidden).
+export function debounced(fn, ms = SAVE_DELAY_MS) {
+  let timer = null;
+  let pending = null;
+  function flush() {
+    if (!timer) return;
+    clearTimeout(timer);
+    timer = null;
+    fn(...pending);
+  }
+  function schedule(...args) {
+    pending = args;
+    clearTimeout(timer);
+    timer = setTimeout(flush, ms);
+  }
+  return { schedule, flush };
+}
@@ -1,7 +1,41 @@
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
+import { VitePWA } from "vite-plugin-pwa";
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [
+    react(),
+    VitePWA({
+      registerType: "prompt",
+      includeAssets: ["icon.svg", "apple-touch-icon.png"],
+      manifest: {
+        name: "TOPIK Flashcards",
+        short_name: "TOPIK Cards",
+        description: "Spaced-repetition flashcards for TOPIK Korean vocabulary.",
+        lang: "ko",
+        theme_color: "#0b1220",
+        background_color: "#0b1220",
+        display: "standalone",
+        icons: [
+          { src: "pwa-192x192.png", sizes: "192x192", type: "image/png" },
+          { src: "pwa-512x512.png", sizes: "512x512", type: "image/png" },
+          { src: "maskable-512x512.png", sizes: "512x512", type: "image/png", purpose: "maskable" },
+          { src: "icon.svg", sizes: "any", type: "image/svg+xml" },
+        ],
+      },
+      workbox: {
+        globPatterns: ["**/*.{js,css,html,svg,png,ico,csv,json}"],
+        cleanupOutdatedCaches: true,
+        // The sql.js wasm is only needed for .apkg files; cache it on first use.
+        runtimeCaching: [
+          {
+            urlPattern: ({ url }) => url.pathname.endsWith(".wasm"),
+            handler: "CacheFirst",
+            options: { cacheName: "wasm", expiration: { maxEntries: 4 } },
+          },
+        ],
+      },
+    }),
+  ],
   base: "/topik-flashcards/"
-});
\ No newline at end of file
+});